@@ -0,0 +1,97 @@
+#!/usr/bin/env node
+const path = require('path')
+const { parseArgs } = require('util')
+
+const USAGE = `Usage: firestore-orm migrate <module> [options]
+
+Runs a migration on every doc in a collection. The module must export:
+  Model              the Model class whose docs will be migrated
+  migrate(model, tx) changes one model (changes are saved automatically)
+
+Options:
+  --batch-size <n>   docs to process per transaction (default: 100)
+  --dry-run          run the migration without saving any changes
+  --resume-from <id> resume an earlier run which did not finish
+  --help             show this message
+
+The database connection is configured by environment variables (e.g.,
+FIRESTORE_EMULATOR_HOST) unless the module sets one up itself.`
+
+/**
+ * Runs the command line interface.
+ * @param {Array<String>} argv command line arguments (excluding node and
+ *   the script)
+ * @returns {Number} the exit code
+ */
+async function main (argv) {
+  let args
+  try {
+    args = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        'batch-size': { type: 'string' },
+        'dry-run': { type: 'boolean', default: false },
+        'resume-from': { type: 'string' },
+        help: { type: 'boolean', default: false }
+      }
+    })
+  } catch (e) {
+    console.error(`${e.message}\n\n${USAGE}`)
+    return 2
+  }
+  const { values, positionals } = args
+  if (values.help) {
+    console.log(USAGE)
+    return 0
+  }
+  if (positionals[0] !== 'migrate' || positionals.length !== 2) {
+    console.error(USAGE)
+    return 2
+  }
+  const batchSize = values['batch-size'] === undefined
+    ? undefined
+    : Number(values['batch-size'])
+
+  const db = require('../src/default-db')
+  const { Model, migrate } = require(path.resolve(positionals[1]))
+  if (!Model || typeof migrate !== 'function') {
+    console.error('the module must export Model and migrate()')
+    return 2
+  }
+
+  const dryRun = values['dry-run']
+  let id = values['resume-from']
+  try {
+    const progress = await db.runMigration(Model, migrate, {
+      batchSize,
+      dryRun,
+      resumeFrom: id,
+      onProgress: progress => {
+        if (id === undefined && !dryRun) {
+          id = progress.id
+          console.log(`migration ID: ${id}`)
+        }
+        console.log(`processed ${progress.numDocs} docs ` +
+          `(${progress.numChanged} changed) through ${progress.lastPath}`)
+      }
+    })
+    console.log(`${dryRun ? 'dry run ' : ''}done: ${progress.numDocs} docs ` +
+      `processed, ${progress.numChanged} ` +
+      `${dryRun ? 'would have been ' : ''}changed`)
+    return 0
+  } catch (e) {
+    console.error(e)
+    if (id !== undefined) {
+      console.error(`resume with: --resume-from ${id}`)
+    }
+    return 1
+  }
+}
+
+// istanbul ignore if
+if (require.main === module) {
+  main(process.argv.slice(2)).then(code => { process.exitCode = code })
+}
+
+module.exports = { main }
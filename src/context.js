@@ -1,12 +1,14 @@
 const assert = require('assert')
+const { AsyncLocalStorage } = require('async_hooks')
 
-const { Transaction } = require('@google-cloud/firestore')
+const { Timestamp } = require('@google-cloud/firestore')
 const { detailedDiff } = require('deep-object-diff')
 
 const AsyncEmitter = require('./async-emitter')
 const { Data } = require('./data')
 const DBError = require('./db-error')
 const {
+  BatchWriteError,
   InvalidOptionsError,
   InvalidParameterError,
   DeletedTwiceError,
@@ -14,11 +16,38 @@ const {
   WriteAttemptedInReadOnlyTxError,
   ModelTrackedTwiceError,
   ModelAlreadyExistsError,
-  TransactionLockTimeoutError
+  NestedContextError,
+  TransactionDeadlineExceededError,
+  TransactionLockTimeoutError,
+  PreconditionFailedError
 } = require('./errors')
 const { Key } = require('./key')
 const { Model } = require('./models')
-const { sleep, loadOptionDefaults } = require('./utils')
+const { Query } = require('./query')
+const {
+  checkUnexpectedOptions,
+  loadOptionDefaults,
+  sleep,
+  validateLastUpdateTime
+} = require('./utils')
+
+// the context (and attempt) running in the current async call chain
+const currentContext = new AsyncLocalStorage()
+
+// the longest delay setTimeout() supports (longer ones fire right away)
+const MAX_TIMEOUT_MS = 2 ** 31 - 1
+
+/**
+ * Throws if the current attempt timed out (its context may be running
+ * another attempt which it must not interfere with).
+ * @private
+ */
+function throwIfAttemptAbandoned () {
+  if (currentContext.getStore()?.attempt.abandoned) {
+    throw new TransactionDeadlineExceededError(
+      'this attempt timed out and was abandoned')
+  }
+}
 
 async function getWithArgs (args, callback) {
   if (!args || !(args instanceof Array) || args.length === 0) {
@@ -85,6 +114,16 @@ class Context {
    *   after the first attempt fails and before first retry happens.
    * @property {Number} [maxBackoff=10000] In milliseconds, max delay
    *   between retries. Must be larger than 200.
+   * @property {Number} [deadlineMs] In milliseconds, how long Context.run()
+   *   may take in total. An attempt still running at the deadline is
+   *   abandoned, and no retry is made if the deadline would pass while
+   *   backing off before it. A TransactionDeadlineExceededError is thrown in
+   *   either case.
+   * @property {Number} [attemptTimeoutMs] In milliseconds, how long a single
+   *   attempt may take before it is abandoned (and retried, if retries
+   *   remain). An attempt which times out while committing is not retried
+   *   since its writes may have been saved. Neither may be more than
+   *   2147483647 (about 24.8 days).
    * @property {Number} [cacheModels=false] Whether to cache models already
    *   retrieved from the database. When off, getting a model with the same key
    *   the second time in the same transaction results in an error. When on,
@@ -92,6 +131,13 @@ class Context {
    *   modifications done to the model are reflected in the returned model. If
    *   the model key was used in some API other than "get", an error will
    *   result.
+   * @property {String} [whenNested='independent'] What Context.run() does if
+   *   it is called while another context is running (see
+   *   {@link Context.current}). 'independent' runs a separate context (which
+   *   commits on its own, before the running one does). 'join' runs the
+   *   function as part of the running context, like its nested() method (this
+   *   context's other options are ignored). 'throw' throws a
+   *   NestedContextError.
    * @public
    */
 
@@ -105,8 +151,11 @@ class Context {
       consistentReads: true,
       initialBackoff: process.env.INDEBUGGER ? 1 : 500,
       maxBackoff: 10000,
+      deadlineMs: undefined,
+      attemptTimeoutMs: undefined,
       retries: process.env.INDEBUGGER ? 0 : 4, // no retry by default in unit tests for speed
-      cacheModels: false
+      cacheModels: false,
+      whenNested: 'independent'
     }
   }
 
@@ -143,6 +192,16 @@ class Context {
       throw new InvalidOptionsError('maxBackoff',
         'Max back off must be larger than 200ms.')
     }
+    for (const opt of ['deadlineMs', 'attemptTimeoutMs']) {
+      const ms = this.options[opt]
+      if (ms !== undefined && (!Number.isInteger(ms) || ms <= 0)) {
+        throw new InvalidOptionsError(opt, 'must be a positive integer')
+      }
+      if (ms > MAX_TIMEOUT_MS) {
+        throw new InvalidOptionsError(opt,
+          `must be at most ${MAX_TIMEOUT_MS} (about 24.8 days)`)
+      }
+    }
     // read only context use transactions which get a consistent snapshot; to
     // read data inconsistently use another context
     if (!this.options.readOnly) {
@@ -153,7 +212,26 @@ class Context {
           'without consistency guarantees (and the locks they may acquire)')
       }
     }
+    if (!['independent', 'join', 'throw'].includes(this.options.whenNested)) {
+      throw new InvalidOptionsError('whenNested',
+        "must be 'independent', 'join' or 'throw'")
+    }
     this.isUsingTx = !this.options.readOnly || this.options.consistentReads
+    // whether this context's function (or its hooks) are running
+    this.__isRunning = false
+  }
+
+  /**
+   * The Firestore client, or the transaction or batch writes are queued in.
+   * @private
+   */
+  get __dbCtx () {
+    throwIfAttemptAbandoned()
+    return this.__dbCtxValue
+  }
+
+  set __dbCtx (dbCtx) {
+    this.__dbCtxValue = dbCtx
   }
 
   /**
@@ -162,6 +240,7 @@ class Context {
    * @private
    */
   __watchForChangesToSave (model, key) {
+    throwIfAttemptAbandoned()
     assert.ok(model || key, 'must provide model or key to __watch')
     assert.ok(!(model && key), 'cannot provide both model and key to __watch')
     const keyToUse = model ? model.__key : key
@@ -183,14 +262,48 @@ class Context {
   }
 
   async __saveChangedModels () {
+    const willWrite = model =>
+      model && (model.isNew || model.__isMutated(!this.options.readOnly))
+    // hooks may change (or create) other models, so keep going until every
+    // model which will be written has had its hook called
+    const hooked = new Set()
+    let numHooked
+    do {
+      numHooked = hooked.size
+      for (let i = 0; i < this.__trackedModelsList.length; i++) {
+        const model = this.__trackedModelsList[i]
+        if (willWrite(model) && !hooked.has(model)) {
+          this.__throwIfWritesNotAllowed(model)
+          hooked.add(model)
+          await model.__beforeWrite(this)
+        }
+      }
+    } while (hooked.size !== numHooked)
+
     for (const model of this.__trackedModelsList) {
-      if (model && (model.isNew || model.__isMutated(!this.options.readOnly))) {
+      if (willWrite(model)) {
         this.__throwIfWritesNotAllowed(model)
         await model.__write(this)
       }
     }
   }
 
+  /**
+   * Queues a write (or sends it, if this context doesn't use a transaction).
+   * The write is kept with the model it is for (if any), so the model can be
+   * given the result of its write.
+   * @param {Model} [model] the model being written
+   * @param {String} method the name of the write method (e.g., 'update')
+   * @param {Array} args the method's arguments (starting with the doc's
+   *   DocumentReference)
+   * @returns {Promise|undefined} resolves once the write has been sent, if
+   *   it is sent right away
+   * @package
+   */
+  __queueWrite (model, method, args) {
+    return this.__dbCtx.__add(method, args, model)
+  }
+
   /**
    * All events a context may emit.
    *
@@ -273,16 +386,48 @@ class Context {
       this.__watchForChangesToSave(undefined, key)
       return undefined
     }
-    const vals = isNew ? key.vals : (await doc.data())
-    if (!isNew) {
-      // doc.data() only has data values; vals needs to include key values too
-      Object.assign(vals, key.keyComponents)
+    let model
+    if (isNew) {
+      model = new key.Cls(isNew, key.vals)
+      model.__readTime = doc.readTime
+    } else {
+      model = key.Cls.__fromSnapshot(key, doc)
     }
-    const model = new key.Cls(isNew, vals)
     this.__watchForChangesToSave(model)
+    if (!isNew) {
+      await model.afterLoad(this)
+    }
     return model
   }
 
+  /**
+   * Turns the docs returned by a query into tracked models.
+   * @param {Model} Cls the Model class the docs belong to
+   * @param {Array<DocumentSnapshot>} docs docs which exist
+   * @private
+   */
+  async __gotQueryDocs (Cls, docs) {
+    const models = []
+    for (const doc of docs) {
+      const key = Cls.__keyFromQueryDoc(doc)
+      if (!key) {
+        continue
+      }
+      const cachedModelIdx = this.__trackedModelsMap[key.docRef.path]
+      if (cachedModelIdx !== undefined && this.options.cacheModels) {
+        // omit docs this context already deleted (null) or saw as missing
+        // (undefined)
+        const cachedModel = this.__trackedModelsList[cachedModelIdx]
+        if (cachedModel) {
+          models.push(cachedModel)
+        }
+        continue
+      }
+      models.push(await this.__gotDoc(key, {}, doc))
+    }
+    return models
+  }
+
   /**
    * Fetches model(s) from database.
    * This method supports 3 different signatures.
@@ -356,18 +501,19 @@ class Context {
 
       let ret = []
       if (this.options.cacheModels) {
-        const findModel = (collectionName, id) => {
+        // compare doc paths since nested docs in different collections may
+        // have the same encoded key
+        const findModel = (path) => {
           for (let index = 0; index < keysOrDataToGet.length; index++) {
             const toGetKeyOrData = keysOrDataToGet[index]
-            if (collectionName === toGetKeyOrData.Cls.collectionName &&
-              id === toGetKeyOrData.encodedKey) {
+            if (path === toGetKeyOrData.docRef.path) {
               return fetchedModels[index]
             }
           }
 
           for (const { key, model } of cachedModels) {
             // istanbul ignore else
-            if (collectionName === key.Cls.collectionName && id === key.encodedKey) {
+            if (path === key.docRef.path) {
               // undefined if previous get() found nothing
               // null if previously delete()
               // otherwise a model will be here
@@ -376,10 +522,7 @@ class Context {
           }
         }
         for (const keyOrData of arr) {
-          ret.push(findModel(
-            keyOrData.Cls.collectionName,
-            keyOrData.encodedKey
-          ))
+          ret.push(findModel(keyOrData.docRef.path))
         }
       } else {
         // UnorderedModels is really ordered when cacheModels is disabled
@@ -391,16 +534,164 @@ class Context {
     })
   }
 
+  /**
+   * Returns a query on the docs in a model's collection. Models fetched by
+   * the query are tracked by this context just like those from get().
+   *
+   * @param {Model} Cls A Model class.
+   * @param {Key} [parentKey] For nested models (i.e., those with a PARENT),
+   *   the key of the parent doc whose collection will be queried.
+   * @returns {Query} a query builder
+   */
+  query (Cls, parentKey) {
+    if (!Cls || !(Cls.prototype instanceof Model)) {
+      throw new InvalidParameterError('Cls', 'must be a Model class')
+    }
+    return new Query(this, Cls, parentKey)
+  }
+
+  /**
+   * Returns a query on the docs of a nested model under every parent doc
+   * (i.e., a collection group query). Each model's parent key components are
+   * reconstructed from its doc's path.
+   *
+   * @param {Model} Cls A Model class with a PARENT.
+   * @returns {Query} a query builder
+   */
+  queryGroup (Cls) {
+    if (!Cls || !(Cls.prototype instanceof Model)) {
+      throw new InvalidParameterError('Cls', 'must be a Model class')
+    }
+    return new Query(this, Cls, undefined, true)
+  }
+
+  /**
+   * Returns a query on Cls's collection restricted by a list of conditions.
+   * @param {Model} Cls A Model class.
+   * @param {Array<Array>} [filters] [fieldName, op, value] conditions, as
+   *   accepted by {@link Query#where}
+   * @private
+   */
+  __queryWithFilters (Cls, filters = []) {
+    if (!(filters instanceof Array) ||
+        filters.some(f => !(f instanceof Array) || f.length !== 3)) {
+      throw new InvalidParameterError('filters',
+        'must be a list of [fieldName, op, value] conditions')
+    }
+    const query = this.query(Cls)
+    for (const [fieldName, op, value] of filters) {
+      query.where(fieldName, op, value)
+    }
+    return query
+  }
+
+  /**
+   * Finds the docs whose location is within some distance of a point. The
+   * field's schema must store a geohash (`S.geopoint.withGeohash()`). Models
+   * are tracked by this context just like those from get().
+   *
+   * @param {Model} Cls A Model class (which is not nested).
+   * @param {String} fieldName The name of a geopoint field.
+   * @param {GeoPoint} center Where to search from.
+   * @param {Number} radiusMeters How far from center to search.
+   * @returns {Array<Model>} the models found, nearest first
+   */
+  async queryNear (Cls, fieldName, center, radiusMeters) {
+    return this.query(Cls).__fetchNear(fieldName, center, radiusMeters)
+  }
+
+  /**
+   * Counts the docs in a model's collection without reading them.
+   *
+   * @param {Model} Cls A Model class.
+   * @param {Array<Array>} [filters] [fieldName, op, value] conditions which
+   *   docs must match to be counted
+   * @returns {Number} the number of matching docs
+   *
+   * @example
+   * const numCoffeeOrders = await tx.count(Order, [['product', '==', 'coffee']])
+   */
+  async count (Cls, filters) {
+    return this.__queryWithFilters(Cls, filters).count()
+  }
+
+  /**
+   * Sums a numeric field over the docs in a model's collection without
+   * reading them.
+   *
+   * @param {Model} Cls A Model class.
+   * @param {String} fieldName The name of a numeric field.
+   * @param {Array<Array>} [filters] [fieldName, op, value] conditions which
+   *   docs must match to be included
+   * @returns {Number} the sum (0 if no docs match)
+   */
+  async sum (Cls, fieldName, filters) {
+    return this.__queryWithFilters(Cls, filters).sum(fieldName)
+  }
+
+  /**
+   * Averages a numeric field over the docs in a model's collection without
+   * reading them.
+   *
+   * @param {Model} Cls A Model class.
+   * @param {String} fieldName The name of a numeric field.
+   * @param {Array<Array>} [filters] [fieldName, op, value] conditions which
+   *   docs must match to be included
+   * @returns {Number|null} the average (null if no docs match)
+   */
+  async average (Cls, fieldName, filters) {
+    return this.__queryWithFilters(Cls, filters).average(fieldName)
+  }
+
+  /**
+   * Returns a Scan which reads every doc in a model's collection. The scan
+   * does not use this context: docs are read without a transaction and the
+   * models it yields are not tracked.
+   *
+   * @param {Model} Cls A Model class.
+   * @param {ScanOptions} [options]
+   * @returns {Scan} an async iterable of models
+   */
+  scan (Cls, options) {
+    if (!Cls || !(Cls.prototype instanceof Model)) {
+      throw new InvalidParameterError('Cls', 'must be a Model class')
+    }
+    return Cls.scan(options)
+  }
+
+  /**
+   * Options for updating a doc without reading it.
+   * @typedef {Object} UpdateOptions
+   * @property {Object} [precondition] when set, the update fails with a
+   *   PreconditionFailedError if the precondition does not hold
+   * @property {Timestamp} [precondition.lastUpdateTime] the time the doc must
+   *   have been last updated at
+   */
+
   /**
    * Updates an doc without reading from DB. Fails if doc is not in the db.
    *
    * @param {CompositeID} key The key to update
    * @param {Object} data Updated fields for the doc
+   * @param {UpdateOptions} [options]
    */
-  async updateWithoutRead (Cls, data) {
+  async updateWithoutRead (Cls, data, options) {
+    throwIfAttemptAbandoned()
+    const { precondition } = loadOptionDefaults(options, {
+      precondition: undefined
+    })
+    if (Cls.SCHEMA_VERSION > 1) {
+      // the doc may need to be migrated, which requires reading it
+      throw new InvalidParameterError('Cls',
+        'docs of models with a SCHEMA_VERSION above 1 must be read to be ' +
+        'updated')
+    }
     const model = new Cls(false, data, true)
+    if (precondition !== undefined) {
+      checkUnexpectedOptions(precondition, { lastUpdateTime: undefined })
+      model.expectUnchangedSince(precondition.lastUpdateTime)
+    }
     this.__throwIfWritesNotAllowed(model)
-    // TODO: should really track this too
     await model.__write(this)
   }
 
@@ -419,6 +710,7 @@ class Context {
    *   plus any data for Fields on the Model.
    */
   create (Cls, data) {
+    throwIfAttemptAbandoned()
     const model = new Cls(true, { ...data })
     this.__watchForChangesToSave(model)
     return model
@@ -432,54 +724,156 @@ class Context {
    *   plus any data for Fields on the Model.
    */
   createOrOverwrite (Cls, data) {
+    throwIfAttemptAbandoned()
     const model = new Cls(true, { ...data }, false, true)
     this.__watchForChangesToSave(model)
     return model
   }
 
+  /**
+   * Preconditions for deleting docs. If a precondition does not hold, the
+   * delete fails with a PreconditionFailedError.
+   * @typedef {Object} DeleteOptions
+   * @property {Boolean} [ifExists=false] whether the doc must exist
+   * @property {Timestamp} [lastUpdateTime] the time the doc must have been
+   *   last updated at (implies ifExists)
+   */
+
   /**
    * Deletes model(s) from database.
    *
    * If a model is read from database, but it did not exist when deleting the
    * doc, an exception is raised.
    *
-   * @param {List<Key|Model>} args Keys and Models
+   * @param {List<Key|Model>} args Keys and Models, optionally followed by
+   *   {@link DeleteOptions} which apply to all of them
    */
   async delete (...args) {
+    throwIfAttemptAbandoned()
+    let options
+    if (args.length && args[args.length - 1]?.constructor === Object) {
+      options = args.pop()
+    }
+    const { ifExists, lastUpdateTime } = loadOptionDefaults(options, {
+      ifExists: false,
+      lastUpdateTime: undefined
+    })
+    if (lastUpdateTime !== undefined) {
+      validateLastUpdateTime('lastUpdateTime', lastUpdateTime)
+    }
     this.__throwIfWritesNotAllowed(args[0])
     for (const a of args) {
       let key = a
+      let precondition = ifExists ? { exists: true } : undefined
       if (a instanceof Model) {
         key = a.__key
+        precondition = a.__precondition ?? precondition
+      }
+      if (lastUpdateTime) {
+        precondition = { lastUpdateTime }
       }
       if (key instanceof Key) {
         const path = key.docRef.path
         const trackedModelIdx = this.__trackedModelsMap[path]
+        const trackedModel = this.__trackedModelsList[trackedModelIdx]
+        if (trackedModel === null) {
+          // already asked to delete it
+          throw new DeletedTwiceError(key.Cls.collectionName, key.encodedKey)
+        }
+        // a key's model is only known if this context read it
+        const model = a instanceof Model ? a : trackedModel
+        if (model) {
+          await model.beforeDelete(this)
+          // the attempt may have been abandoned while the hook ran
+          throwIfAttemptAbandoned()
+        }
         if (trackedModelIdx !== undefined) {
-          const trackedModel = this.__trackedModelsList[trackedModelIdx]
-          if (trackedModel === null) {
-            // already asked to delete it
-            throw new DeletedTwiceError(key.Cls.collectionName, key.encodedKey)
-          }
           this.__trackedModelsList[trackedModelIdx] = null
-        } else {
+        } else if (this.isUsingTx) {
+          // contexts without a transaction send deletes right away and don't
+          // hold on to their keys
           this.__trackedModelsMap[path] = this.__trackedModelsList.length
           this.__trackedModelsList.push(null)
         }
-        const ret = this.__dbCtx.delete(key.docRef)
-        // depending on whether __dbCtx is a Firestore or Transaction object,
-        // we need to wait the result
-        if (!(ret instanceof Transaction)) {
-          await ret
-        }
+        await this.__queueWrite(undefined, 'delete', [key.docRef, precondition])
       } else {
         throw new InvalidParameterError('args', 'Must be models and keys')
       }
     }
   }
 
+  /**
+   * Runs a function as part of this context (it is passed this context). If
+   * it throws, every change it made through this context is undone before
+   * the error is re-thrown: changes to models, models it created, read or
+   * deleted, and writes it queued (like updateWithoutRead()). It never
+   * commits on its own; its changes are committed along with the rest of
+   * this context's. Nested calls may be nested too.
+   *
+   * @param {Function} func the closure to run
+   * @returns {*} whatever func returns
+   *
+   * @example
+   * await Context.run(async tx => {
+   *   const order = await tx.get(Order, orderID)
+   *   try {
+   *     await tx.nested(async () => {
+   *       order.status = 'discounted'
+   *       await applyCoupon(tx, order) // may throw
+   *     })
+   *   } catch (e) {
+   *     // order.status is unchanged
+   *   }
+   * })
+   */
+  async nested (func) {
+    throwIfAttemptAbandoned()
+    if (typeof func !== 'function') {
+      throw new InvalidParameterError('func', 'must be a function / closure')
+    }
+    const savepoint = this.__getSavepoint()
+    try {
+      return await func(this)
+    } catch (e) {
+      this.__rollbackTo(savepoint)
+      throw e
+    }
+  }
+
+  /**
+   * Returns this context's current state, which __rollbackTo() restores.
+   * @private
+   */
+  __getSavepoint () {
+    return {
+      trackedModelsList: [...this.__trackedModelsList],
+      trackedModelsMap: { ...this.__trackedModelsMap },
+      modelStates: this.__trackedModelsList.map(model => model?.__getState()),
+      // writes are queued until the transaction commits (there is no queue if
+      // this context doesn't use a transaction)
+      numQueuedWrites: this.__dbCtx.writes?.length
+    }
+  }
+
+  /**
+   * Undoes every change made to this context since a savepoint.
+   * @param {Object} savepoint the state from __getSavepoint()
+   * @private
+   */
+  __rollbackTo (savepoint) {
+    savepoint.trackedModelsList.forEach((model, i) => {
+      model?.__setState(savepoint.modelStates[i])
+    })
+    this.__trackedModelsList = savepoint.trackedModelsList
+    this.__trackedModelsMap = savepoint.trackedModelsMap
+    if (savepoint.numQueuedWrites !== undefined) {
+      this.__dbCtx.writes.length = savepoint.numQueuedWrites
+    }
+  }
+
   __reset () {
     this.__eventEmitter = new AsyncEmitter()
+    this.__onlyPreconditionsCanFail = false
     this.__trackedModelsList = []
     this.__trackedModelsMap = {}
   }
@@ -504,25 +898,125 @@ class Context {
   async __tryToRun (func) {
     const ctx = this
     if (ctx.isUsingTx) {
-      return await Key.firestoreDB.runTransaction(async tx => {
+      const { attempt } = currentContext.getStore()
+      let writeQueue, commitResponse
+      const ret = await Key.firestoreDB.runTransaction(async tx => {
         ctx.__reset()
-        ctx.__dbCtx = tx
+        // writes are queued (rather than added to the transaction right away)
+        // so that nested() can undo them
+        writeQueue = new TransactionWriteQueue(tx)
+        ctx.__dbCtx = writeQueue
+        // Transaction.commit() discards the result of each write, so grab them
+        // from the underlying batch (if there is one) to refresh written
+        // models' metadata
+        const batch = ctx.constructor.__writeBatchOf(tx)
+        if (batch) {
+          const commitBatch = batch._commit.bind(batch)
+          batch._commit = async (...args) => {
+            commitResponse = await commitBatch(...args)
+            return commitResponse
+          }
+        }
         try {
           const ret = await func(ctx)
+          throwIfAttemptAbandoned()
           await this.__saveChangedModels()
+          writeQueue.__flush()
+          // the transaction commits as soon as this returns
+          attempt.committing = true
           return ret
         } finally {
-          ctx.__dbCtx = Key.firestoreDB
+          // an abandoned attempt's context may be running another attempt
+          if (!attempt.abandoned) {
+            ctx.__dbCtx = Key.firestoreDB
+            ctx.__onlyPreconditionsCanFail =
+              onlyPreconditionsCanFail(writeQueue.writes)
+          }
         }
       }, {
         readOnly: ctx.options.readOnly,
         maxAttempts: 1
       })
+      // results are in the same order as the writes; if they couldn't be
+      // grabbed (or don't match up with the writes), the written models keep
+      // the metadata they had
+      const { writes } = writeQueue
+      if (commitResponse?.writeResults?.length === writes.length) {
+        writes.forEach(([, , model], i) => {
+          const { seconds, nanos } =
+            commitResponse.writeResults[i].updateTime ??
+            commitResponse.commitTime
+          // proto3 omits default (zero) values
+          const writeTime = new Timestamp(Number(seconds ?? 0), nanos ?? 0)
+          model?.__gotWriteResult({ writeTime })
+        })
+      }
+      return ret
     } else {
       return await func(ctx)
     }
   }
 
+  /**
+   * Returns the WriteBatch a transaction commits its writes with. It isn't
+   * part of the Firestore SDK's public API, so undefined is returned if it
+   * isn't there (or no longer works the same way).
+   * @param {Transaction} tx
+   * @private
+   */
+  static __writeBatchOf (tx) {
+    const batch = tx._writeBatch
+    return typeof batch?._commit === 'function' ? batch : undefined
+  }
+
+  /**
+   * Runs __tryToRun() with this as the current context. If it takes longer
+   * than timeoutMs, the attempt is abandoned (anything it does with this
+   * context from then on throws) and a TransactionDeadlineExceededError is
+   * thrown.
+   * @param {Function} func the closure to run
+   * @param {Number} [timeoutMs=Infinity] how long the attempt may take
+   * @private
+   */
+  async __tryToRunAsCurrent (func, timeoutMs = Infinity) {
+    const attempt = { abandoned: false, committing: false }
+    this.__isRunning = true
+    let timer
+    try {
+      return await new Promise((resolve, reject) => {
+        if (timeoutMs < Infinity) {
+          timer = setTimeout(() => {
+            attempt.abandoned = true
+            const err = new TransactionDeadlineExceededError(
+              `attempt timed out after ${timeoutMs}ms` + (attempt.committing
+                ? ' while committing (its writes may have been saved)'
+                : ''))
+            err.retryable = !attempt.committing
+            reject(err)
+          }, timeoutMs)
+        }
+        currentContext.run({ ctx: this, attempt },
+          () => this.__tryToRun(func)).then(resolve, reject)
+      })
+    } finally {
+      clearTimeout(timer)
+      this.__isRunning = false
+    }
+  }
+
+  /**
+   * Returns the context running in the current async call chain (i.e., the
+   * one whose function, or a model hook it triggered, is running), or
+   * undefined if there isn't one. This lets code deep in a call stack use
+   * the current context without it being passed through every function.
+   * @returns {Context|undefined}
+   */
+  static current () {
+    const ctx = currentContext.getStore()?.ctx
+    // async work started by a context's function may outlive it
+    return ctx?.__isRunning ? ctx : undefined
+  }
+
   /**
    * Runs a closure in transaction.
    * @param {Function} func the closure to run
@@ -534,16 +1028,19 @@ class Context {
     }
 
     let millisBackOff = this.options.initialBackoff
-    const maxBackoff = this.options.maxBackoff
+    const { maxBackoff, deadlineMs, attemptTimeoutMs } = this.options
+    const deadline = Date.now() + (deadlineMs ?? Infinity)
     for (let tryCnt = 0; tryCnt <= this.options.retries; tryCnt++) {
       let err
       try {
         err = undefined
-        const ret = await this.__tryToRun(func)
+        const ret = await this.__tryToRunAsCurrent(func, Math.min(
+          Math.max(deadline - Date.now(), 0), attemptTimeoutMs ?? Infinity))
         await this.__eventEmitter.emit(this.constructor.EVENTS.POST_COMMIT)
         return ret
       } catch (originalErr) {
-        const firestoreError = parseFirestoreError(originalErr)
+        const firestoreError = parseFirestoreError(originalErr,
+          this.__onlyPreconditionsCanFail)
         err = firestoreError ?? originalErr
 
         // make sure EVERY error is retryable
@@ -555,15 +1052,22 @@ class Context {
           console.log(`ctx commit attempt ${tryCnt} failed with error ${err}`)
         }
       }
-      if (tryCnt >= this.options.retries) {
-        const retryMsg = `Giving up after ${tryCnt + 1} attempt${tryCnt ? 's' : ''}`
-        const newErrorMsg = `${retryMsg}: ${err.message}`
-        const errToThrow = new TransactionFailedError(newErrorMsg, err)
+      const offset = Math.floor(Math.random() * millisBackOff * 0.2) -
+        millisBackOff * 0.1 // +-0.1 backoff as jitter to spread out conflicts
+      const retryMsg = `Giving up after ${tryCnt + 1} attempt${tryCnt ? 's' : ''}`
+      let errToThrow
+      if (Date.now() + millisBackOff + offset >= deadline) {
+        errToThrow = new TransactionDeadlineExceededError(
+          `${retryMsg} (retrying would exceed the ${deadlineMs}ms deadline): ` +
+          err.message, err)
+      } else if (tryCnt >= this.options.retries) {
+        errToThrow = new TransactionFailedError(`${retryMsg}: ${err.message}`,
+          err)
+      }
+      if (errToThrow) {
         await this.__eventEmitter.emit(this.constructor.EVENTS.TX_FAILED, errToThrow)
         throw errToThrow
       }
-      const offset = Math.floor(Math.random() * millisBackOff * 0.2) -
-        millisBackOff * 0.1 // +-0.1 backoff as jitter to spread out conflicts
       await sleep(millisBackOff + offset)
       millisBackOff = Math.min(maxBackoff, millisBackOff * 2)
     }
@@ -596,7 +1100,85 @@ class Context {
     if (args.length <= 0 || args.length > 2) {
       throw new InvalidParameterError('args', 'should be ([options,] func)')
     }
-    return new Context(opts).__run(func)
+    const ctx = new Context(opts)
+    const runningCtx = Context.current()
+    if (runningCtx && ctx.options.whenNested === 'throw') {
+      throw new NestedContextError()
+    }
+    if (runningCtx && ctx.options.whenNested === 'join') {
+      return runningCtx.nested(func)
+    }
+    return ctx.__run(func)
+  }
+
+  /**
+   * Runs a function which writes docs without a transaction. Its writes are
+   * added to batches of up to 500 (Firestore's limit) as they are made, and
+   * each batch is committed as soon as it is full (the last one is committed
+   * after the function returns). Each batch is atomic, but batches are
+   * committed independently (one after another) so some may succeed while
+   * others fail. If any fail, a BatchWriteError describing each failed batch
+   * is thrown.
+   *
+   * The function is passed a context which supports create(),
+   * createOrOverwrite(), updateWithoutRead() and delete(), but cannot read
+   * docs. Models are written as soon as they are created, so create() and
+   * createOrOverwrite() return a promise for the model and changes made to
+   * it afterwards are not saved. It is not retried.
+   *
+   * @param {BatchOptions} [options]
+   * @param {Function} func the closure to run
+   * @returns {*} whatever func returns
+   *
+   * @example
+   * await Context.runBatch(async batch => {
+   *   for (const row of rows) {
+   *     await batch.createOrOverwrite(Order, row)
+   *   }
+   * })
+   */
+  static async runBatch (...args) {
+    const opts = (args.length === 1) ? {} : args[0]
+    const func = args[args.length - 1]
+    if (args.length <= 0 || args.length > 2) {
+      throw new InvalidParameterError('args', 'should be ([options,] func)')
+    }
+    return new BatchContext(opts).__runWithoutTx(func)
+  }
+
+  /**
+   * Runs a function which writes docs without a transaction, using
+   * Firestore's BulkWriter for high throughput (e.g., to import millions of
+   * docs). Its writes are sent in parallel as they are made. Each write
+   * succeeds or fails on its own (and is retried if it fails with a
+   * retryable error), so some writes may succeed while others fail.
+   *
+   * The function is passed a context which supports create(),
+   * createOrOverwrite(), updateWithoutRead() and delete(), but cannot read
+   * docs. Models are written as soon as they are created, so create() and
+   * createOrOverwrite() return a promise for the model and changes made to
+   * it afterwards are not saved. Its return value is ignored.
+   *
+   * @param {BulkOptions} [options]
+   * @param {Function} func the closure to run
+   * @returns {BulkWriteSummary} how many writes succeeded and why any failed
+   *
+   * @example
+   * const { failures } = await Context.runBulk({
+   *   onError: (err, path) => console.error(`could not write ${path}`, err)
+   * }, async bulk => {
+   *   for (const row of rows) {
+   *     await bulk.create(Order, row)
+   *   }
+   * })
+   */
+  static async runBulk (...args) {
+    const opts = (args.length === 1) ? {} : args[0]
+    const func = args[args.length - 1]
+    if (args.length <= 0 || args.length > 2) {
+      throw new InvalidParameterError('args', 'should be ([options,] func)')
+    }
+    return new BulkContext(opts).__runWithoutTx(func)
   }
 
   /**
@@ -630,7 +1212,459 @@ class Context {
   }
 }
 
-function parseFirestoreError (err) {
+/**
+ * Options for Context.runBatch().
+ * @typedef {Object} BatchOptions
+ * @property {Number} [batchSize=500] The maximum number of writes to commit
+ *   in each batch (at most 500).
+ */
+
+/**
+ * Adds writes to WriteBatches of at most batchSize writes each, and commits
+ * each batch as soon as it is full.
+ * @private
+ */
+class ChunkedWriteBatch {
+  constructor (batchSize) {
+    this.__batchSize = batchSize
+    // the batch being filled: its WriteBatch, and the WriteBatch method, its
+    // arguments and the model (if any) of each write
+    this.__chunk = undefined
+    this.numChunks = 0
+    this.failures = []
+  }
+
+  /**
+   * Adds a write to the batch being filled. Returns a promise which resolves
+   * once the batch has been committed if the write filled it.
+   * @param {String} method the WriteBatch method to call
+   * @param {Array} args the method's arguments (starting with the doc's
+   *   DocumentReference)
+   * @param {Model} [model] the model being written
+   */
+  __add (method, args, model) {
+    if (!this.__chunk) {
+      this.__chunk = {
+        index: this.numChunks++,
+        writeBatch: Key.firestoreDB.batch(),
+        writes: []
+      }
+    }
+    const chunk = this.__chunk
+    chunk.writeBatch[method](...args)
+    chunk.writes.push([method, args, model])
+    if (chunk.writes.length === this.__batchSize) {
+      return this.commit()
+    }
+  }
+
+  /**
+   * Commits the batch being filled (if any). If it fails, its failure is
+   * added to failures.
+   */
+  async commit () {
+    const { index, writeBatch, writes } = this.__chunk ?? {}
+    if (!writeBatch) {
+      return
+    }
+    this.__chunk = undefined
+    try {
+      const writeResults = await writeBatch.commit()
+      writeResults.forEach((writeResult, i) => {
+        writes[i][2]?.__gotWriteResult(writeResult)
+      })
+    } catch (e) {
+      const onlyFromPreconditions = onlyPreconditionsCanFail(writes)
+      const error = parseFirestoreError(e, onlyFromPreconditions) ?? e
+      const paths = writes.map(([, args]) => args[0].path)
+      this.failures.push({ index, paths, error })
+    }
+  }
+}
+
+/**
+ * Queues a transaction's writes until it is about to commit. Reads go
+ * straight to the transaction.
+ * @private
+ */
+class TransactionWriteQueue {
+  /**
+   * @param {Transaction} tx the transaction the writes are for
+   */
+  constructor (tx) {
+    this.__tx = tx
+    // the Transaction method, its arguments and the model (if any) of each
+    // write
+    this.writes = []
+  }
+
+  get (...args) {
+    return this.__tx.get(...args)
+  }
+
+  getAll (...args) {
+    return this.__tx.getAll(...args)
+  }
+
+  /**
+   * Queues a write.
+   * @param {String} method the Transaction method to call
+   * @param {Array} args the method's arguments
+   * @param {Model} [model] the model being written
+   */
+  __add (method, args, model) {
+    this.writes.push([method, args, model])
+  }
+
+  /** Adds the queued writes to the transaction. */
+  __flush () {
+    for (const [method, args] of this.writes) {
+      this.__tx[method](...args)
+    }
+  }
+}
+
+/**
+ * A context which writes docs without a transaction, and so cannot read docs.
+ * @private
+ */
+class WriteOnlyContext extends Context {
+  constructor (options) {
+    super(options)
+    this.isUsingTx = false
+    // writes of created models which have not been sent yet (or failed)
+    this.__pendingWrites = new Set()
+  }
+
+  /**
+   * Creates a model and writes it right away (so it need not be kept until
+   * the function returns). Changes made to the model afterwards are not
+   * saved.
+   * @returns {Promise<Model>} the model, once its write has been sent
+   */
+  create (Cls, data) {
+    return this.__writeNow(super.create(Cls, data))
+  }
+
+  /**
+   * Like create(), but overwrites the doc if it exists.
+   * @returns {Promise<Model>} the model, once its write has been sent
+   */
+  createOrOverwrite (Cls, data) {
+    return this.__writeNow(super.createOrOverwrite(Cls, data))
+  }
+
+  __watchForChangesToSave () {
+    // created models are written right away, so nothing is tracked
+  }
+
+  /**
+   * Calls a new model's hook and then writes it.
+   * @param {Model} model the model to write
+   * @returns {Promise<Model>} the model, once its write has been sent
+   */
+  __writeNow (model) {
+    const write = (async () => {
+      this.__throwIfWritesNotAllowed(model)
+      await model.__beforeWrite(this)
+      await model.__write(this)
+      return model
+    })()
+    // the function need not wait for the write, so keep it (until it has
+    // been sent) and check that it worked once the function returns
+    this.__pendingWrites.add(write)
+    write.then(() => this.__pendingWrites.delete(write), () => {})
+    return write
+  }
+
+  async get () {
+    throw new Error('cannot read docs without a transaction; use ' +
+      'Context.run() instead')
+  }
+
+  query () {
+    throw new Error('cannot query docs without a transaction; use ' +
+      'Context.run() instead')
+  }
+
+  queryGroup () {
+    throw new Error('cannot query docs without a transaction; use ' +
+      'Context.run() instead')
+  }
+
+  async nested () {
+    throw new Error('nested() requires a transaction; use Context.run() ' +
+      'instead')
+  }
+
+  /**
+   * Runs func, and then waits for the writes of the models it created.
+   * @param {Function} func the closure to run
+   * @returns {*} whatever func returns
+   */
+  async __runAndWaitForWrites (func) {
+    try {
+      const ret = await func(this)
+      await Promise.all(this.__pendingWrites)
+      return ret
+    } finally {
+      // let writes which are under way be sent even if func failed
+      await Promise.allSettled(this.__pendingWrites)
+    }
+  }
+
+  /**
+   * Runs func and commits its writes (without retries).
+   * @param {Function} func the closure to run
+   */
+  async __runWithoutTx (func) {
+    if (typeof func !== 'function') {
+      throw new InvalidParameterError('func', 'must be a function / closure')
+    }
+    let ret
+    try {
+      ret = await this.__tryToRunAsCurrent(func)
+    } catch (err) {
+      await this.__eventEmitter.emit(this.constructor.EVENTS.TX_FAILED, err)
+      throw err
+    }
+    await this.__eventEmitter.emit(this.constructor.EVENTS.POST_COMMIT)
+    return ret
+  }
+}
+
+/**
+ * A context which writes docs in batches rather than in a transaction (see
+ * {@link Context.runBatch}).
+ * @private
+ */
+class BatchContext extends WriteOnlyContext {
+  get defaultOptions () {
+    return { ...super.defaultOptions, batchSize: 500 }
+  }
+
+  constructor (options) {
+    super(options)
+    const batchSize = this.options.batchSize
+    if (!Number.isInteger(batchSize) || batchSize <= 0 || batchSize > 500) {
+      throw new InvalidOptionsError('batchSize',
+        'must be an integer between 1 and 500')
+    }
+  }
+
+  async __tryToRun (func) {
+    const batch = new ChunkedWriteBatch(this.options.batchSize)
+    this.__dbCtx = batch
+    let ret
+    try {
+      ret = await this.__runAndWaitForWrites(func)
+    } finally {
+      this.__dbCtx = Key.firestoreDB
+    }
+
+    // full batches were committed as they filled up
+    await batch.commit()
+    if (batch.failures.length) {
+      throw new BatchWriteError(batch.numChunks, batch.failures)
+    }
+    return ret
+  }
+}
+
+/**
+ * Options for Context.runBulk().
+ * @typedef {Object} BulkOptions
+ * @property {Function} [onError] Called with the error and the doc's path
+ *   for each doc which could not be written.
+ * @property {Number} [maxOpsPerSecond] The maximum number of writes to send
+ *   per second (by default, Firestore's BulkWriter ramps up to 10,000).
+ */
+
+/**
+ * The outcome of Context.runBulk().
+ * @typedef {Object} BulkWriteSummary
+ * @property {Number} numSucceeded The number of docs written.
+ * @property {Array<Object>} failures The `path` of each doc which could not
+ *   be written and the `error` it failed with (e.g., a
+ *   ModelAlreadyExistsError).
+ */
+
+/**
+ * Sends writes to a BulkWriter as they are made, and handles the outcome of
+ * each.
+ * @private
+ */
+class BulkWriteQueue {
+  /**
+   * @param {BulkWriter} bulkWriter the BulkWriter to send writes to
+   * @param {Function} onOutcome called with the doc's path, the model (if
+   *   any), and the WriteResult or error (see parseBulkWriterError()) of each
+   *   write once it finishes
+   */
+  constructor (bulkWriter, onOutcome) {
+    this.__bulkWriter = bulkWriter
+    this.__onOutcome = onOutcome
+    // the outcome handlers which have not finished yet
+    this.__pending = new Set()
+  }
+
+  /**
+   * Sends a write to the BulkWriter.
+   * @param {String} method the BulkWriter method to call
+   * @param {Array} args the method's arguments (starting with the doc's
+   *   DocumentReference)
+   * @param {Model} [model] the model being written
+   */
+  __add (method, args, model) {
+    const path = args[0].path
+    const withPrecondition = hasPrecondition(method, args)
+    // BulkWriter retries each write which fails with a retryable error; this
+    // gets the final outcome of each write
+    const outcome = this.__bulkWriter[method](...args).then(
+      writeResult => this.__onOutcome(path, model, writeResult),
+      e => this.__onOutcome(path, model, undefined,
+        parseBulkWriterError(e, withPrecondition)))
+    this.__pending.add(outcome)
+    outcome.then(() => this.__pending.delete(outcome))
+  }
+
+  /**
+   * Waits for every write to finish (and its outcome to be handled).
+   */
+  async close () {
+    await this.__bulkWriter.close()
+    await Promise.all(this.__pending)
+  }
+}
+
+/**
+ * A context which writes docs with a BulkWriter (see
+ * {@link Context.runBulk}).
+ * @private
+ */
+class BulkContext extends WriteOnlyContext {
+  get defaultOptions () {
+    return {
+      ...super.defaultOptions,
+      onError: undefined,
+      maxOpsPerSecond: undefined
+    }
+  }
+
+  constructor (options) {
+    super(options)
+    const { onError, maxOpsPerSecond } = this.options
+    if (onError !== undefined && typeof onError !== 'function') {
+      throw new InvalidOptionsError('onError', 'must be a function')
+    }
+    if (maxOpsPerSecond !== undefined &&
+        (!Number.isInteger(maxOpsPerSecond) || maxOpsPerSecond <= 0)) {
+      throw new InvalidOptionsError('maxOpsPerSecond',
+        'must be a positive integer')
+    }
+  }
+
+  async __tryToRun (func) {
+    const { onError, maxOpsPerSecond } = this.options
+    const bulkWriter = Key.firestoreDB.bulkWriter(
+      maxOpsPerSecond ? { throttling: { maxOpsPerSecond } } : undefined)
+    const summary = { numSucceeded: 0, failures: [] }
+    let onErrorError
+    const queue = new BulkWriteQueue(bulkWriter,
+      async (path, model, writeResult, error) => {
+        if (writeResult) {
+          summary.numSucceeded++
+          model?.__gotWriteResult(writeResult)
+          return
+        }
+        summary.failures.push({ path, error })
+        try {
+          await onError?.(error, path)
+        } catch (callbackError) {
+          onErrorError = onErrorError ?? callbackError
+        }
+      })
+    this.__dbCtx = queue
+    try {
+      await this.__runAndWaitForWrites(func)
+    } finally {
+      this.__dbCtx = Key.firestoreDB
+      // writes which were already sent finish even if func failed
+      await queue.close()
+    }
+    if (onErrorError) {
+      throw onErrorError
+    }
+    return summary
+  }
+}
+
+/**
+ * Returns whether a write has a precondition.
+ * @param {String} method the name of the method which makes the write
+ * @param {Array} args the method's arguments
+ * @private
+ */
+function hasPrecondition (method, args) {
+  // update(docRef, data, ...preconditions) and delete(docRef, precondition)
+  return (method === 'update' && args.length > 2) ||
+    (method === 'delete' && args[1] !== undefined)
+}
+
+/**
+ * Returns whether a NOT_FOUND or FAILED_PRECONDITION error from committing
+ * some writes together can only be due to a precondition. Firestore does not
+ * say which write failed, so this is only the case if some write has a
+ * precondition and no other write can fail this way: an update without one
+ * can if its doc was not read first (e.g., from updateWithoutRead()).
+ * @param {Array<Array>} writes the method, its arguments and the model (if
+ *   any) of each write
+ * @private
+ */
+function onlyPreconditionsCanFail (writes) {
+  let anyPreconditions = false
+  for (const [method, args, model] of writes) {
+    if (hasPrecondition(method, args)) {
+      anyPreconditions = true
+    } else if (method === 'update' && model?.__isPartial !== false) {
+      return false
+    }
+  }
+  return anyPreconditions
+}
+
+/**
+ * Returns the error a BulkWriter write failed with, as one of this library's
+ * errors where possible.
+ * @param {BulkWriterError} err the error
+ * @param {Boolean} withPrecondition whether the write had a precondition
+ * @private
+ */
+function parseBulkWriterError (err, withPrecondition) {
+  // error 6 is ALREADY_EXISTS; if the write had a precondition, 5 (NOT_FOUND)
+  // and 9 (FAILED_PRECONDITION) mean the doc did not exist or the
+  // precondition did not hold
+  if (err.code === 6) {
+    const docRef = err.documentRef
+    return new ModelAlreadyExistsError(docRef.parent.id, docRef.id)
+  }
+  if (withPrecondition && (err.code === 5 || err.code === 9)) {
+    return new PreconditionFailedError(err.message, err)
+  }
+  return err
+}
+
+/**
+ * Returns the error a transaction or batch failed with, as one of this
+ * library's errors where possible.
+ * @param {Error} err the error
+ * @param {Boolean} onlyFromPreconditions whether a NOT_FOUND or
+ *   FAILED_PRECONDITION error can only be due to one of the writes'
+ *   preconditions (see onlyPreconditionsCanFail()); if not, such errors are
+ *   passed through as is since Firestore does not say which write failed
+ * @private
+ */
+function parseFirestoreError (err, onlyFromPreconditions) {
   // probably a firestore error if it has these fields
   if (err.code && err.details) {
     // error 10 is the "Transaction lock timeout" error; retryable if separate
@@ -641,6 +1675,15 @@ function parseFirestoreError (err) {
       return new TransactionLockTimeoutError(err.message, err)
     }
 
+    // if only preconditions can fail, error 9 is a failed precondition (unless
+    // the query needs an index) and error 5 is an update or delete of a doc
+    // which must exist but does not
+    if (onlyFromPreconditions &&
+        ((err.code === 9 && err.details.indexOf('index') === -1) ||
+         err.code === 5)) {
+      return new PreconditionFailedError(err.message, err)
+    }
+
     // error 6 is if you try to create a model that already exists
     const docInfo = parseFirestoreErrorPath(err)
     if (docInfo) {
@@ -7,10 +7,12 @@ const setup = require('./firestore')
 // make Firestore look like the Transaction object (it already has getAll but
 // does not have these others)
 Firestore.prototype.get = async (docRef) => docRef.get()
-Firestore.prototype.delete = async (docRef) => docRef.delete()
+Firestore.prototype.delete = async (docRef, precondition) =>
+  docRef.delete(precondition)
 Firestore.prototype.create = async (docRef, data) => docRef.create(data)
 Firestore.prototype.set = async (docRef, data, options) => docRef.set(data, options)
-Firestore.prototype.update = async (docRef, data) => docRef.update(data)
+Firestore.prototype.update = async (docRef, data, ...precondition) =>
+  docRef.update(data, ...precondition)
 
 // TODO: get "host" field based on environment (e.g., dev or prod)
 // automatically uses the emulator when FIRESTORE_EMULATOR_HOST is set
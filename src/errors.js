@@ -70,6 +70,65 @@ class TransactionLockTimeoutError extends TransactionFailedError {
   }
 }
 
+/**
+ * Thrown when a transaction runs out of time: when its deadline would be
+ * exceeded by waiting to retry it, or when an attempt takes too long (which
+ * is retryable unless the attempt was already committing, in which case its
+ * writes may or may not have been saved).
+ * @memberof Errors
+ */
+class TransactionDeadlineExceededError extends TransactionFailedError {
+  constructor (reason, original) {
+    super(reason, original)
+    this.name = this.constructor.name
+    this.retryable = false
+  }
+}
+
+/**
+ * Thrown when a write's precondition did not hold (e.g., the doc was changed
+ * after the expected update time, or did not exist).
+ * @memberof Errors
+ */
+class PreconditionFailedError extends TransactionFailedError {
+  constructor (reason, original) {
+    super(reason, original)
+    this.name = this.constructor.name
+    this.retryable = false
+  }
+}
+
+/**
+ * Thrown when some of the batches written by Context.runBatch() fail. Each
+ * batch is written independently, so the writes in the other batches were
+ * saved. `failures` lists each failed batch's `index`, the `paths` of the docs
+ * it would have written, and the `error` it failed with.
+ * @memberof Errors
+ */
+class BatchWriteError extends Error {
+  constructor (numBatches, failures) {
+    super(`${failures.length} of ${numBatches} batches failed to commit: ` +
+      failures[0].error.message)
+    this.name = this.constructor.name
+    this.retryable = false
+    this.failures = failures
+  }
+}
+
+/**
+ * Thrown when Context.run() is called while another context is running (in
+ * the same async call chain) and its whenNested option is 'throw'.
+ * @memberof Errors
+ */
+class NestedContextError extends Error {
+  constructor () {
+    super('Context.run() was called while another context is running; use ' +
+      'the running context (e.g., its nested() method) instead')
+    this.name = this.constructor.name
+    this.retryable = false
+  }
+}
+
 /**
  * Thrown when there's some error with a particular model.
  * @memberof Errors
@@ -116,6 +175,19 @@ class DeletedTwiceError extends GenericModelError {
   }
 }
 
+/**
+ * Thrown when a model violates one or more of its CONSTRAINTS. The
+ * description of each violated constraint is in `violations`.
+ * @memberof Errors
+ */
+class ModelValidationError extends GenericModelError {
+  constructor (collectionName, _id, violations) {
+    super(`Model violates constraints (${violations.join('; ')})`,
+      collectionName, _id)
+    this.violations = violations
+  }
+}
+
 /**
  * Thrown when a tx tries to write when it was marked read-only.
  * @memberof Errors
@@ -135,6 +207,7 @@ class NotImplementedError extends Error {
 }
 
 module.exports = {
+  BatchWriteError,
   DeletedTwiceError,
   GenericModelError,
   InvalidFieldError,
@@ -142,7 +215,11 @@ module.exports = {
   InvalidParameterError,
   ModelAlreadyExistsError,
   ModelTrackedTwiceError,
+  ModelValidationError,
+  NestedContextError,
   NotImplementedError,
+  PreconditionFailedError,
+  TransactionDeadlineExceededError,
   TransactionFailedError,
   TransactionLockTimeoutError,
   WriteAttemptedInReadOnlyTxError
@@ -1,11 +1,19 @@
 const assert = require('assert')
 
-const { FieldValue } = require('@google-cloud/firestore')
+const {
+  DocumentReference,
+  FieldValue,
+  GeoPoint,
+  Timestamp
+} = require('@google-cloud/firestore')
 const deepeq = require('fast-deep-equal')
 const deepcopy = require('rfdc')()
 
 const { InvalidFieldError, InvalidOptionsError, NotImplementedError } = require('./errors')
-const { validateValue } = require('./utils')
+const { encodeGeohash, geohashFieldName } = require('./geo')
+const { Key } = require('./key')
+const { toBuffer, toGeoPoint, toTimestamp } = require('./schemas')
+const { SCHEMA_TYPE_TO_JS_TYPE_MAP, validateValue } = require('./utils')
 
 /**
  * Abstract class representing a field / property of a Model.
@@ -120,11 +128,15 @@ class __Field extends __BaseField {
       default: jsonSchema.default,
       assertValid: compiledSchema.assertValid
     }
-    const FieldCls = SCHEMA_TYPE_TO_FIELD_CLASS_MAP[options.schema.type]
+    const FieldCls = getFieldClass(options.schema)
     assert.ok(FieldCls, `unsupported field type ${options.schema.type}`)
 
     const hasDefault = Object.prototype.hasOwnProperty.call(jsonSchema, 'default')
     if (isKey) {
+      if (!SCHEMA_TYPE_TO_JS_TYPE_MAP[options.schema.type]) {
+        throw new InvalidFieldError(fieldName,
+          `${options.schema.type} fields cannot be key components`)
+      }
       if (hasDefault && isKey) {
         throw new InvalidOptionsError('default',
           'No defaults for keys.') // It just doesn\'t make sense.
@@ -219,14 +231,14 @@ class __Field extends __BaseField {
     }
 
     this.__useDefault = useDefault
-    this.__value = useDefault ? deepcopy(this.__default) : val
+    this.__value = useDefault ? this.__copy(this.__default) : val
 
     if (valIsFromDB) {
       // The field's current value is the value stored in the database. Track
       // that value so that we can detect if it changes, and write that
       // change to the database.
       // Note: val is undefined whenever useDefault is true
-      this.__initialValue = deepcopy(val)
+      this.__initialValue = this.__copy(val)
     } else {
       this.__initialValue = undefined
     }
@@ -258,7 +270,53 @@ class __Field extends __BaseField {
     // complex types (objects and arrays) can be modified without calling set()
     // so we need to double-check the validation for them at this point
     this.validate()
-    return deepcopy(this.__value)
+    return this.__copy(this.__value)
+  }
+
+  /**
+   * Returns other doc fields to write along with this field (e.g., values
+   * derived from this field's value so they can be indexed).
+   * @param {*} val the value being written for this field
+   * @returns {Object} doc field names mapped to values
+   */
+  __companionValuesForFirestoreWrite (val) {
+    return {}
+  }
+
+  /**
+   * Returns the doc field paths to give to Firestore when updating an
+   * existing doc.
+   * @param {*} val the value from __valueForFirestoreWrite()
+   * @returns {Object} doc field paths mapped to values
+   */
+  __valuesForFirestoreUpdate (val) {
+    return val === undefined ? {} : { [this.name]: val }
+  }
+
+  /**
+   * Returns a copy of val which can be changed without affecting val.
+   * @param {*} val a value for this field
+   */
+  __copy (val) {
+    return deepcopy(val)
+  }
+
+  /**
+   * Returns a copy of this field's state which can be restored by
+   * __setState() to undo any changes made after this call.
+   * @package
+   */
+  __getState () {
+    return { ...this, __value: this.__copy(this.__value) }
+  }
+
+  /**
+   * Restores the state returned by __getState().
+   * @param {Object} state
+   * @package
+   */
+  __setState (state) {
+    Object.assign(this, state)
   }
 
   /**
@@ -353,16 +411,79 @@ class __Field extends __BaseField {
   }
 }
 
+/**
+ * Returns a subclass of a field class whose changes can be written as blind
+ * updates (e.g., an increment), which don't depend on the field's old value
+ * and so don't conflict with other writers. A blind update is only written
+ * IF the field is never read; otherwise (or once it is set), its whole value
+ * is written.
+ * @param {Class} FieldCls the field class to extend
+ * @memberof Internal
+ * @private
+ */
+function withBlindUpdates (FieldCls) {
+  return class extends FieldCls {
+    constructor (options) {
+      super(options)
+      // the blind update to write instead of the field's value, if any
+      this.__pendingOp = undefined
+      this.__mustUseSet = false
+    }
+
+    set (val) {
+      super.set(val)
+      // don't change any state unless set() succeeds
+      this.__pendingOp = undefined // no longer computed from blind updates
+      this.__mustUseSet = true
+    }
+
+    /**
+     * Whether the field's whole value must be written, so changes can no
+     * longer be made with blind updates.
+     */
+    get __mustWriteValue () {
+      // if we've already read the value, there's no point in generating a
+      // blind update as we must lock on the original value anyway
+      return this.__readInitialValue || this.__mustUseSet
+    }
+
+    /**
+     * Changes the field's value, and records the blind update to write
+     * instead.
+     * @param {*} val the field's new value
+     * @param {*} op the pending blind update (which includes any previous
+     *   one)
+     */
+    __setWithBlindUpdate (val, op) {
+      // call directly on super to avoid clearing the pending blind update
+      super.set(val)
+      this.__pendingOp = op
+    }
+
+    /**
+     * Whether this field can be updated with its pending blind update.
+     */
+    get __canUpdateBlindly () {
+      return (
+        // if there's no pending blind update, we cannot use one
+        this.__pendingOp !== undefined &&
+        // if the field didn't have an old value, write the whole value
+        this.__initialValue !== undefined &&
+        // if we read the value, then it's not a blind update
+        !this.__readInitialValue &&
+        !this.__mustUseSet)
+    }
+  }
+}
+
 /**
  * @extends Internal.__Field
  * @memberof Internal.Fields
  * @private
  */
-class NumberField extends __Field {
+class NumberField extends withBlindUpdates(__Field) {
   constructor (options) {
     super(options)
-    this.__diff = undefined
-    this.__mustUseSet = false
 
     // figure out what value the diff will be added to
     if (this.__initialValue !== undefined) {
@@ -379,13 +500,6 @@ class NumberField extends __Field {
     }
   }
 
-  set (val) {
-    super.set(val)
-    // don't change any state unless set() succeeds
-    this.__diff = undefined // no longer computed as a diff
-    this.__mustUseSet = true
-  }
-
   /**
    * Updates the field's value by an unconditioned increment IF the field is
    * never read (reduces contention). If the field is ever read, there's no
@@ -393,22 +507,15 @@ class NumberField extends __Field {
    * @param {Number} diff The diff amount.
    */
   incrementBy (diff) {
-    // add the new diff to our current diff, if any
-    // wait to set __diff until after super.set() succeeds to ensure no
-    // changes are made if set() fails!
-    const newDiff = (this.__diff === undefined) ? diff : this.__diff + diff
-
-    // if we've already read the value, there's no point in generating an
-    // increment update expression as we must lock on the original value anyway
-    if (this.__readInitialValue || this.__mustUseSet) {
+    // add the new diff to our current diff (the pending increment), if any
+    const newDiff = (this.__pendingOp === undefined)
+      ? diff
+      : this.__pendingOp + diff
+    if (this.__mustWriteValue) {
       this.set(this.__sumIfValid(false, newDiff))
-      // this.__diff isn't set because we can't not using diff updates now
       return
     }
-
-    // call directly on super to avoid clearing the diff value
-    super.set(this.__sumIfValid(true, newDiff))
-    this.__diff = newDiff
+    this.__setWithBlindUpdate(this.__sumIfValid(true, newDiff), newDiff)
   }
 
   /**
@@ -430,19 +537,13 @@ class NumberField extends __Field {
    * Whether this field can be updated with an increment expression.
    */
   get canUpdateWithIncrement () {
-    return (
-      // if there's no diff, we cannot use increment
-      this.__diff !== undefined &&
-      // if the field didn't have an old value, we can't increment it
-      this.__initialValue !== undefined &&
-      // if we read the value, then it's not a blind increment
-      !this.__readInitialValue)
+    return this.__canUpdateBlindly
   }
 
   __valueForFirestoreWrite () {
     // if we're locking, there's no point in doing an increment
     if (this.canUpdateWithIncrement) {
-      return FieldValue.increment(this.__diff)
+      return FieldValue.increment(this.__pendingOp)
     }
     return super.__valueForFirestoreWrite()
   }
@@ -474,7 +575,87 @@ class ObjectField extends __Field {
    * @returns if value was changed.
    */
   get mutated () {
-    return this.__mayHaveMutated && !deepeq(this.__value, this.__initialValue)
+    return this.__mayHaveMutated &&
+      !deepeqIgnoringUndefined(this.__value, this.__initialValue)
+  }
+
+  /**
+   * Only the parts of the object which changed are updated (e.g.,
+   * `{ 'settings.theme': 'dark' }`), so writers changing different parts of
+   * the object don't overwrite each other's changes.
+   */
+  __valuesForFirestoreUpdate (val) {
+    if (!isPlainObject(val) || !isPlainObject(this.__initialValue)) {
+      return super.__valuesForFirestoreUpdate(val)
+    }
+    const updates = {}
+    diffObjects(this.name, this.__initialValue, val, updates)
+    return updates
+  }
+}
+
+/**
+ * @param {*} val
+ * @returns {Boolean} whether val is a plain object (not an array, class
+ *   instance, etc.)
+ * @private
+ */
+function isPlainObject (val) {
+  return val?.constructor === Object
+}
+
+/**
+ * Compares values like deepeq(), except that an object's keys whose value is
+ * undefined are ignored (like they are when the object is written, since
+ * undefined properties are ignored by the Firestore client).
+ * @param {*} a
+ * @param {*} b
+ * @returns {Boolean} whether a and b are written the same way
+ * @private
+ */
+function deepeqIgnoringUndefined (a, b) {
+  if (isPlainObject(a) && isPlainObject(b)) {
+    const keys = new Set([...Object.keys(a), ...Object.keys(b)])
+    return [...keys].every(key => deepeqIgnoringUndefined(a[key], b[key]))
+  }
+  return deepeq(a, b)
+}
+
+// object keys which can be part of a dot-separated Firestore field path
+const FIELD_PATH_KEY_RE = /^[^.*~/[\]]+$/
+
+/**
+ * Adds the updates which change oldObj into newObj to updates. Each update's
+ * key is the dot-separated path (starting with path) of a changed value.
+ * Changed objects whose keys cannot be written as a field path are updated as
+ * a whole.
+ * @param {String} path the field path of the objects
+ * @param {Object} oldObj the original object
+ * @param {Object} newObj the new object
+ * @param {Object} updates field paths mapped to new values
+ * @private
+ */
+function diffObjects (path, oldObj, newObj, updates) {
+  const keys = new Set([...Object.keys(oldObj), ...Object.keys(newObj)])
+  // compared the same way as ObjectField.mutated so that a changed object
+  // always has an update
+  const changedKeys = [...keys].filter(
+    key => !deepeqIgnoringUndefined(oldObj[key], newObj[key]))
+  if (!changedKeys.every(key => FIELD_PATH_KEY_RE.test(key))) {
+    updates[path] = newObj
+    return
+  }
+  for (const key of changedKeys) {
+    const oldVal = oldObj[key]
+    const newVal = newObj[key]
+    const keyPath = `${path}.${key}`
+    if (newVal === undefined) {
+      updates[keyPath] = FieldValue.delete()
+    } else if (isPlainObject(oldVal) && isPlainObject(newVal)) {
+      diffObjects(keyPath, oldVal, newVal, updates)
+    } else {
+      updates[keyPath] = newVal
+    }
   }
 }
 
@@ -490,7 +671,7 @@ class BooleanField extends __Field {}
  * @memberof Internal.Fields
  * @private
  */
-class ArrayField extends __Field {
+class ArrayField extends withBlindUpdates(__Field) {
   /**
    * This method checks for equality deeply against the initial
    * value so use it as sparsely as possible. It is primarily meant to be
@@ -502,16 +683,360 @@ class ArrayField extends __Field {
   get mutated () {
     return this.__mayHaveMutated && !deepeq(this.__value, this.__initialValue)
   }
+
+  get () {
+    // the array may be changed in place, so the whole array must be written
+    this.__mustUseSet = true
+    return super.get()
+  }
+
+  /**
+   * Adds each value which is not already in the array. Like
+   * {@link NumberField#incrementBy}, the update is unconditioned (an
+   * arrayUnion) IF the field is never read.
+   * @param {...*} vals The values to add.
+   */
+  addUnique (...vals) {
+    const base = this.__value ?? []
+    const added = []
+    for (const val of vals) {
+      if (![...base, ...added].some(x => deepeq(x, val))) {
+        added.push(val)
+      }
+    }
+    this.__applyArrayOp('arrayUnion', vals, [...base, ...added])
+  }
+
+  /**
+   * Removes every instance of each value from the array. Like
+   * {@link NumberField#incrementBy}, the update is unconditioned (an
+   * arrayRemove) IF the field is never read.
+   * @param {...*} vals The values to remove.
+   */
+  removeAll (...vals) {
+    const base = this.__value ?? []
+    this.__applyArrayOp('arrayRemove', vals,
+      base.filter(x => !vals.some(val => deepeq(x, val))))
+  }
+
+  /**
+   * Sets the field to newValue, and records the operation which produced it
+   * (if it can still be sent to the database as an array operation).
+   * @param {String} name arrayUnion or arrayRemove
+   * @param {Array} vals the values given to the operation
+   * @param {Array} newValue the array after the operation
+   */
+  __applyArrayOp (name, vals, newValue) {
+    // the pending arrayUnion or arrayRemove, if any
+    const prevOp = this.__pendingOp
+    // Firestore cannot apply two different operations to one field at once
+    if (this.__mustWriteValue || (prevOp && prevOp.name !== name)) {
+      this.set(newValue)
+      return
+    }
+    this.__setWithBlindUpdate(newValue, {
+      name,
+      vals: [...(prevOp?.vals ?? []), ...this.__copy(vals)]
+    })
+  }
+
+  /**
+   * Whether this field can be updated with an arrayUnion or arrayRemove.
+   */
+  get canUpdateWithArrayOp () {
+    return this.__canUpdateBlindly
+  }
+
+  __valueForFirestoreWrite () {
+    if (this.canUpdateWithArrayOp) {
+      this.validate()
+      const { name, vals } = this.__pendingOp
+      return FieldValue[name](...vals)
+    }
+    return super.__valueForFirestoreWrite()
+  }
+}
+
+/**
+ * A point in time. Values are always Firestore Timestamps (Dates are
+ * converted).
+ * @extends Internal.__Field
+ * @memberof Internal.Fields
+ * @private
+ */
+class TimestampField extends __Field {
+  constructor (options) {
+    super({ ...options, val: toTimestamp(options.val) })
+    this.__isServerTimestamp = false
+  }
+
+  get mutated () {
+    if (this.__isServerTimestamp) {
+      return true
+    }
+    if (this.__value === undefined || this.__initialValue === undefined) {
+      return this.__value !== this.__initialValue
+    }
+    return !this.__value.isEqual(this.__initialValue)
+  }
+
+  set (val) {
+    super.set(toTimestamp(val))
+    this.__isServerTimestamp = false
+  }
+
+  /**
+   * Sets the field to the time the database writes it. Until then, the
+   * field's value is the current (local) time.
+   */
+  setToServerTimestamp () {
+    this.set(Timestamp.now())
+    this.__isServerTimestamp = true
+  }
+
+  __valueForFirestoreWrite () {
+    if (this.__isServerTimestamp) {
+      return FieldValue.serverTimestamp()
+    }
+    return super.__valueForFirestoreWrite()
+  }
+
+  __copy (val) {
+    // Timestamps are immutable so they don't need to be copied
+    return toTimestamp(val)
+  }
+}
+
+/**
+ * A reference to another doc. Values are Keys (DocumentReferences read from
+ * the database are converted to Keys of the referenced model).
+ * @extends Internal.__Field
+ * @memberof Internal.Fields
+ * @private
+ */
+class ReferenceField extends __Field {
+  constructor (options) {
+    const Cls = options.opts.schema.model
+    let val = options.val
+    if (val instanceof DocumentReference) {
+      // leave refs to other collections as-is so validation rejects them
+      val = Cls.__keyFromDocRef(val) ?? val
+    }
+    super({ ...options, val })
+  }
+
+  get mutated () {
+    return this.__value?.docRef.path !== this.__initialValue?.docRef.path
+  }
+
+  __valueForFirestoreWrite () {
+    const val = super.__valueForFirestoreWrite()
+    return val instanceof Key ? val.docRef : val
+  }
+
+  __copy (val) {
+    // Keys are never modified so they don't need to be copied
+    return val
+  }
+}
+
+/**
+ * A location on Earth. Values are always Firestore GeoPoints (objects with a
+ * latitude and longitude are converted). May also store the location's
+ * geohash in a companion doc field.
+ * @extends Internal.__Field
+ * @memberof Internal.Fields
+ * @private
+ */
+class GeoPointField extends __Field {
+  constructor (options) {
+    super({ ...options, val: toGeoPoint(options.val) })
+  }
+
+  get mutated () {
+    if (this.__value === undefined || this.__initialValue === undefined) {
+      return this.__value !== this.__initialValue
+    }
+    return !this.__value.isEqual(this.__initialValue)
+  }
+
+  set (val) {
+    super.set(toGeoPoint(val))
+  }
+
+  __companionValuesForFirestoreWrite (val) {
+    if (!this.schema.geohash || val === undefined) {
+      return {}
+    }
+    const geohash = val instanceof GeoPoint ? encodeGeohash(val) : val
+    return { [geohashFieldName(this.name)]: geohash }
+  }
+
+  __copy (val) {
+    // GeoPoints are immutable so they don't need to be copied
+    return toGeoPoint(val)
+  }
+}
+
+/**
+ * Binary data. Values are always Buffers (Uint8Arrays are converted).
+ * @extends Internal.__Field
+ * @memberof Internal.Fields
+ * @private
+ */
+class BytesField extends __Field {
+  constructor (options) {
+    super({ ...options, val: toBuffer(options.val) })
+  }
+
+  /**
+   * Buffers can be changed in place, so this method compares the bytes
+   * against the initial value. Like {@link ObjectField#mutated}, use it
+   * sparingly.
+   *
+   * @returns if value was changed.
+   */
+  get mutated () {
+    if (!this.__mayHaveMutated) {
+      return false
+    }
+    if (!Buffer.isBuffer(this.__value) ||
+        !Buffer.isBuffer(this.__initialValue)) {
+      return this.__value !== this.__initialValue
+    }
+    return !this.__value.equals(this.__initialValue)
+  }
+
+  set (val) {
+    super.set(toBuffer(val))
+  }
+
+  __copy (val) {
+    return Buffer.isBuffer(val) ? Buffer.from(val) : val
+  }
+}
+
+/**
+ * An object whose keys can be set, deleted, or incremented individually. Like
+ * {@link NumberField#incrementBy}, these changes are written without
+ * conditions on the old value IF the field is never read.
+ * @extends Internal.ObjectField
+ * @memberof Internal.Fields
+ * @private
+ */
+class MapField extends withBlindUpdates(ObjectField) {
+  get () {
+    // the map may be changed in place, so it must be diffed when written
+    this.__mustUseSet = true
+    return super.get()
+  }
+
+  /**
+   * Adds n to a key's value (a missing key is treated as 0).
+   * @param {String} key
+   * @param {Number} n The diff amount.
+   */
+  incrementKey (key, n) {
+    const newValue = (this.__value?.[key] ?? 0) + n
+    const prevOp = this.__pendingOp?.[key]
+    const op = prevOp?.increment !== undefined
+      ? { increment: prevOp.increment + n }
+      : prevOp ? { set: newValue } : { increment: n }
+    this.__applyKeyOp(key, newValue, op)
+  }
+
+  /**
+   * Sets a key's value.
+   * @param {String} key
+   * @param {*} value
+   */
+  setKey (key, value) {
+    this.__applyKeyOp(key, value, { set: value })
+  }
+
+  /**
+   * Removes a key from the map.
+   * @param {String} key
+   */
+  deleteKey (key) {
+    this.__applyKeyOp(key, undefined, { delete: true })
+  }
+
+  /**
+   * Sets key to value, and records the operation which produced it (if it
+   * can still be sent to the database on its own).
+   * @param {String} key the key being changed
+   * @param {*} value the key's new value (undefined to remove it)
+   * @param {Object} op the pending change to the key
+   */
+  __applyKeyOp (key, value, op) {
+    assert.ok(typeof key === 'string', 'key must be a string')
+    const newMap = { ...this.__value }
+    if (value === undefined) {
+      delete newMap[key]
+    } else {
+      newMap[key] = value
+    }
+
+    if (this.__mustWriteValue || !FIELD_PATH_KEY_RE.test(key)) {
+      this.set(newMap)
+      return
+    }
+    // the pending change to each key which was changed
+    this.__setWithBlindUpdate(newMap, { ...this.__pendingOp, [key]: op })
+  }
+
+  /**
+   * Whether this field can be updated by changing just the keys which
+   * changed (without conditions on their old values).
+   */
+  get canUpdateWithKeyOps () {
+    return this.__canUpdateBlindly
+  }
+
+  __valuesForFirestoreUpdate (val) {
+    if (!this.canUpdateWithKeyOps) {
+      return super.__valuesForFirestoreUpdate(val)
+    }
+    const updates = {}
+    for (const [key, op] of Object.entries(this.__pendingOp)) {
+      const path = `${this.name}.${key}`
+      if (op.increment !== undefined) {
+        updates[path] = FieldValue.increment(op.increment)
+      } else if (op.delete) {
+        updates[path] = FieldValue.delete()
+      } else {
+        updates[path] = this.__copy(op.set)
+      }
+    }
+    return updates
+  }
 }
 
 const SCHEMA_TYPE_TO_FIELD_CLASS_MAP = {
   array: ArrayField,
   boolean: BooleanField,
+  bytes: BytesField,
   float: NumberField,
+  geopoint: GeoPointField,
   integer: NumberField,
   number: NumberField,
   object: ObjectField,
-  string: StringField
+  reference: ReferenceField,
+  string: StringField,
+  timestamp: TimestampField
+}
+
+/**
+ * Returns the Field class for a field with the given JSON schema.
+ * @param {Object} jsonSchema
+ * @private
+ */
+function getFieldClass (jsonSchema) {
+  if (jsonSchema.type === 'object' && jsonSchema.map) {
+    return MapField
+  }
+  return SCHEMA_TYPE_TO_FIELD_CLASS_MAP[jsonSchema.type]
 }
 
 module.exports = {
@@ -520,7 +1045,13 @@ module.exports = {
   NumberField,
   ArrayField,
   BooleanField,
+  BytesField,
   StringField,
+  GeoPointField,
+  MapField,
   ObjectField,
-  SCHEMA_TYPE_TO_FIELD_CLASS_MAP
+  ReferenceField,
+  TimestampField,
+  SCHEMA_TYPE_TO_FIELD_CLASS_MAP,
+  getFieldClass
 }
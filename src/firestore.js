@@ -1,16 +1,19 @@
-const S = require('@pocketgems/schema')
-
 const {
   getWithArgs,
   Context
 } = require('./context')
 const {
+  BatchWriteError,
   DeletedTwiceError,
   InvalidFieldError,
   InvalidOptionsError,
   InvalidParameterError,
   ModelAlreadyExistsError,
   ModelTrackedTwiceError,
+  ModelValidationError,
+  NestedContextError,
+  PreconditionFailedError,
+  TransactionDeadlineExceededError,
   TransactionFailedError,
   WriteAttemptedInReadOnlyTxError
 } = require('./errors')
@@ -18,12 +21,20 @@ const {
   __Field,
   ArrayField,
   BooleanField,
+  BytesField,
+  GeoPointField,
+  MapField,
   NumberField,
   ObjectField,
-  StringField
+  ReferenceField,
+  StringField,
+  TimestampField
 } = require('./fields')
+const { distanceBetween, encodeGeohash } = require('./geo')
 const { Key, UniqueKeyList } = require('./key')
+const { runMigration } = require('./migration')
 const { Model } = require('./models')
+const { S } = require('./schemas')
 
 /**
  * @module firestore
@@ -45,14 +56,21 @@ function setup (firestoreDB) {
     UniqueKeyList,
     Context,
     firestoreDB,
+    geo: { distanceBetween, encodeGeohash },
+    runMigration,
 
     // Errors
+    BatchWriteError,
     DeletedTwiceError,
     InvalidFieldError,
     InvalidOptionsError,
     InvalidParameterError,
     ModelTrackedTwiceError,
     ModelAlreadyExistsError,
+    ModelValidationError,
+    NestedContextError,
+    PreconditionFailedError,
+    TransactionDeadlineExceededError,
     TransactionFailedError,
     WriteAttemptedInReadOnlyTxError
   }
@@ -62,9 +80,14 @@ function setup (firestoreDB) {
       fields: [
         ArrayField,
         BooleanField,
+        BytesField,
+        GeoPointField,
+        MapField,
         NumberField,
         ObjectField,
-        StringField
+        ReferenceField,
+        StringField,
+        TimestampField
       ],
       getWithArgs
     }
@@ -0,0 +1,144 @@
+/**
+ * Helpers for working with locations on Earth.
+ * @namespace Geo
+ */
+
+const BASE32 = '0123456789bcdefghjkmnpqrstuvwxyz'
+const EARTH_RADIUS_METERS = 6371008.8
+const METERS_PER_DEGREE_LATITUDE = Math.PI * EARTH_RADIUS_METERS / 180
+// ~1m precision
+const GEOHASH_PRECISION = 10
+
+/**
+ * Returns the distance between two locations along the Earth's surface.
+ *
+ * @param {GeoPoint} a a location (or any object with latitude and longitude)
+ * @param {GeoPoint} b another location
+ * @returns {Number} the distance in meters
+ * @memberof Geo
+ */
+function distanceBetween (a, b) {
+  const toRadians = degrees => degrees * Math.PI / 180
+  const dLat = toRadians(b.latitude - a.latitude)
+  const dLng = toRadians(b.longitude - a.longitude)
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(a.latitude)) * Math.cos(toRadians(b.latitude)) *
+    Math.sin(dLng / 2) ** 2
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.min(1, Math.sqrt(h)))
+}
+
+/**
+ * Returns the geohash of a location. Nearby locations share a prefix, so
+ * geohashes can be queried by range to find docs in an area.
+ *
+ * @param {GeoPoint} point a location (or any object with latitude and
+ *   longitude)
+ * @param {Number} [precision=10] the number of characters in the geohash
+ * @returns {String} the geohash
+ * @memberof Geo
+ */
+function encodeGeohash (point, precision = GEOHASH_PRECISION) {
+  const latRange = [-90, 90]
+  const lngRange = [-180, 180]
+  let hash = ''
+  let bits = 0
+  let numBits = 0
+  let isLng = true // bits alternate between longitude and latitude
+  while (hash.length < precision) {
+    const [range, value] = isLng
+      ? [lngRange, point.longitude]
+      : [latRange, point.latitude]
+    const mid = (range[0] + range[1]) / 2
+    bits <<= 1
+    if (value >= mid) {
+      bits |= 1
+      range[0] = mid
+    } else {
+      range[1] = mid
+    }
+    isLng = !isLng
+    if (++numBits === 5) {
+      hash += BASE32[bits]
+      bits = 0
+      numBits = 0
+    }
+  }
+  return hash
+}
+
+/**
+ * Returns the size of a geohash cell in degrees.
+ * @param {Number} precision the number of characters in the geohash
+ * @returns {Array<Number>} the cell's height (latitude) and width (longitude)
+ * @private
+ */
+function geohashCellSize (precision) {
+  const numBits = precision * 5
+  const latBits = Math.floor(numBits / 2)
+  const lngBits = numBits - latBits
+  return [180 / 2 ** latBits, 360 / 2 ** lngBits]
+}
+
+/**
+ * Returns ranges of geohashes which, between them, include every location
+ * within radiusMeters of center. Some locations in the ranges are farther
+ * away, so results should be filtered by {@link distanceBetween}.
+ *
+ * @param {GeoPoint} center a location (or any object with latitude and
+ *   longitude)
+ * @param {Number} radiusMeters how far from center to search
+ * @returns {Array<Array<String>>} [start, end] pairs of geohashes (inclusive)
+ * @memberof Geo
+ */
+function geohashQueryBounds (center, radiusMeters) {
+  const latDelta = radiusMeters / METERS_PER_DEGREE_LATITUDE
+  // cells are narrowest (in meters) at the latitude closest to a pole
+  const maxLat = Math.min(90, Math.abs(center.latitude) + latDelta)
+  const metersPerDegreeLng = METERS_PER_DEGREE_LATITUDE *
+    Math.cos(maxLat * Math.PI / 180)
+  // use the longest geohashes whose cells are at least as big as the search
+  // radius: then the cell containing center plus its neighbors cover it
+  let precision = 0
+  while (precision < GEOHASH_PRECISION) {
+    const [height, width] = geohashCellSize(precision + 1)
+    if (height < latDelta || width * metersPerDegreeLng < radiusMeters) {
+      break
+    }
+    precision++
+  }
+  if (precision === 0) {
+    return [['', '~']] // search everywhere
+  }
+
+  const [height, width] = geohashCellSize(precision)
+  const hashes = new Set()
+  for (const dLat of [-1, 0, 1]) {
+    const latitude = center.latitude + dLat * height
+    if (Math.abs(latitude) > 90) {
+      continue
+    }
+    for (const dLng of [-1, 0, 1]) {
+      // wrap around the antimeridian
+      const longitude = ((center.longitude + dLng * width + 540) % 360) - 180
+      hashes.add(encodeGeohash({ latitude, longitude }, precision))
+    }
+  }
+  return [...hashes].sort().map(hash => [hash, hash + '~'])
+}
+
+/**
+ * Returns the name of the doc field which stores the geohash of a geopoint
+ * field.
+ * @param {String} fieldName the name of a geopoint field
+ * @private
+ */
+function geohashFieldName (fieldName) {
+  return `${fieldName}Geohash`
+}
+
+module.exports = {
+  distanceBetween,
+  encodeGeohash,
+  geohashFieldName,
+  geohashQueryBounds
+}
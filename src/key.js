@@ -14,9 +14,19 @@ class Key {
     this.keyComponents = keyComponents
   }
 
+  /**
+   * The key of the doc this doc is nested under, if any.
+   * @type {Key|undefined}
+   */
+  get parentKey () {
+    const Cls = this.Cls
+    return Cls.PARENT ? Cls.__parentKey(this.keyComponents) : undefined
+  }
+
   get docRef () {
-    const db = Key.firestoreDB
-    return db.collection(this.Cls.collectionName).doc(this.encodedKey)
+    const parentKey = this.parentKey
+    const parent = parentKey ? parentKey.docRef : Key.firestoreDB
+    return parent.collection(this.Cls.collectionName).doc(this.encodedKey)
   }
 }
 
@@ -34,7 +44,9 @@ class UniqueKeyList extends Array {
   }
 
   static getKeyHash (key) {
-    return `${key.Cls.name}::${key.encodedKey}`
+    const hash = `${key.Cls.name}::${key.encodedKey}`
+    const parentKey = key.parentKey
+    return parentKey ? `${this.getKeyHash(parentKey)}/${hash}` : hash
   }
 
   push (...keys) {
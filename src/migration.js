@@ -0,0 +1,216 @@
+const { FieldPath } = require('@google-cloud/firestore')
+const S = require('@pocketgems/schema')
+const { v4: uuidv4 } = require('uuid')
+
+const { Context } = require('./context')
+const DBError = require('./db-error')
+const {
+  InvalidOptionsError,
+  InvalidParameterError,
+  PreconditionFailedError
+} = require('./errors')
+const { Key } = require('./key')
+const { Model } = require('./models')
+const { loadOptionDefaults } = require('./utils')
+
+/**
+ * Records how far a migration has progressed so it can be resumed.
+ * @private
+ */
+class MigrationCheckpoint extends Model {
+  static KEY = { id: S.str }
+  static FIELDS = {
+    // the collection being migrated
+    collection: S.str,
+    // the path of the last doc which was processed
+    lastPath: S.str.optional(),
+    numDocs: S.int.min(0),
+    numChanged: S.int.min(0),
+    done: S.bool
+  }
+
+  static get collectionName () {
+    return 'FirestoreOrmMigration'
+  }
+}
+
+/**
+ * Thrown to roll back a dry run's transaction.
+ * @private
+ */
+class DryRunRollback extends Error {
+  constructor (numChanged) {
+    super('dry run')
+    this.numChanged = numChanged
+  }
+}
+
+/**
+ * Options for running a migration.
+ * @typedef {Object} MigrationOptions
+ * @property {Number} [batchSize=100] The number of docs to process per
+ *   transaction (at most 500).
+ * @property {Boolean} [dryRun=false] If true, fn is run on every doc but no
+ *   changes (or progress) are saved.
+ * @property {String} [resumeFrom] The ID of an earlier run of this migration
+ *   to resume. It continues after the last batch that run finished.
+ * @property {Function} [onProgress] Called with the migration's progress
+ *   after each batch.
+ */
+
+/**
+ * The progress of a migration.
+ * @typedef {Object} MigrationProgress
+ * @property {String} id The ID of this run (pass it as resumeFrom to resume).
+ * @property {Number} numDocs The number of docs processed so far.
+ * @property {Number} numChanged The number of docs fn changed (or would
+ *   have changed, for a dry run).
+ * @property {String} [lastPath] The path of the last doc processed.
+ * @property {Boolean} done Whether every doc has been processed.
+ */
+
+/**
+ * Calls fn on every doc in a model's collection (in doc path order), a batch
+ * at a time. Each batch runs in its own transaction (with the usual retries),
+ * and any changes fn makes are saved when the batch commits. Progress is
+ * saved along with each batch, so a migration which stops partway (e.g., due
+ * to a crash) can be resumed.
+ *
+ * @param {Model} Cls the Model class whose docs will be migrated
+ * @param {Function} fn called with each model and the {@link Context} it
+ *   was read in
+ * @param {MigrationOptions} [options]
+ * @returns {MigrationProgress} the final progress
+ */
+async function runMigration (Cls, fn, options) {
+  if (!(Cls?.prototype instanceof Model)) {
+    throw new InvalidParameterError('Cls', 'must be a Model class')
+  }
+  if (typeof fn !== 'function') {
+    throw new InvalidParameterError('fn', 'must be a function')
+  }
+  const { batchSize, dryRun, resumeFrom, onProgress } = loadOptionDefaults(
+    options, {
+      batchSize: 100,
+      dryRun: false,
+      resumeFrom: undefined,
+      onProgress: undefined
+    })
+  if (!Number.isInteger(batchSize) || batchSize <= 0 || batchSize > 500) {
+    throw new InvalidOptionsError('batchSize',
+      'must be an integer between 1 and 500')
+  }
+  Cls.__doOneTimeModelPrep()
+  const collection = Cls.collectionName
+  const Base = Cls.__discriminatorBase
+  const discriminator = Base ? [Base.DISCRIMINATOR] : []
+
+  let progress = {
+    id: uuidv4(),
+    numDocs: 0,
+    numChanged: 0,
+    lastPath: undefined,
+    done: false
+  }
+  if (resumeFrom !== undefined) {
+    const checkpoint = await Context.run({ readOnly: true },
+      tx => tx.get(MigrationCheckpoint, resumeFrom))
+    if (!checkpoint || checkpoint.collection !== collection) {
+      throw new InvalidOptionsError('resumeFrom',
+        `no migration of ${collection} has this ID`)
+    }
+    const { id, numDocs, numChanged, lastPath, done } = checkpoint
+    progress = { id, numDocs, numChanged, lastPath, done }
+  }
+
+  while (!progress.done) {
+    // only keys (and which model each doc holds) are needed; each batch's
+    // docs are read in its transaction
+    let query = Key.firestoreDB.collectionGroup(collection)
+      .orderBy(FieldPath.documentId())
+      .select(...discriminator)
+      .limit(batchSize)
+    if (progress.lastPath) {
+      query = query.startAfter(Key.firestoreDB.doc(progress.lastPath))
+    }
+    const snapshot = await query.get().catch(
+      // istanbul ignore next
+      e => {
+        throw new DBError('migration', e)
+      })
+    const docs = snapshot.docs
+    const keys = docs.map(doc => Cls.__keyFromQueryDoc(doc)).filter(key => key)
+    const newProgress = {
+      ...progress,
+      numDocs: progress.numDocs + keys.length,
+      lastPath: docs.length ? docs[docs.length - 1].ref.path : progress.lastPath,
+      done: docs.length < batchSize
+    }
+
+    const migrateBatch = async tx => {
+      // reads must precede writes (which fn may make) in a transaction
+      let checkpoint
+      if (!dryRun) {
+        checkpoint = await tx.get(MigrationCheckpoint.data({
+          id: progress.id,
+          collection,
+          numDocs: 0,
+          numChanged: 0,
+          done: false
+        }), { createIfMissing: true })
+      }
+      if (checkpoint && !checkpoint.isNew &&
+          checkpoint.lastPath !== progress.lastPath) {
+        if (checkpoint.lastPath === newProgress.lastPath) {
+          // this batch already committed (the transaction was retried because
+          // its commit's outcome was unknown)
+          return checkpoint.numChanged - progress.numChanged
+        }
+        // another run resumed from the same checkpoint
+        throw new PreconditionFailedError(
+          `migration ${progress.id} was resumed more than once`)
+      }
+      const models = keys.length ? await tx.get(keys) : []
+      let numChanged = 0
+      for (const model of models) {
+        // skip docs deleted since the batch's keys were read
+        if (model) {
+          await fn(model, tx)
+          if (model.__isMutated()) {
+            numChanged++
+          }
+        }
+      }
+      if (dryRun) {
+        throw new DryRunRollback(numChanged)
+      }
+      checkpoint.lastPath = newProgress.lastPath
+      checkpoint.numDocs = newProgress.numDocs
+      checkpoint.numChanged = progress.numChanged + numChanged
+      checkpoint.done = newProgress.done
+      return numChanged
+    }
+    let numChanged
+    try {
+      numChanged = await Context.run(migrateBatch)
+    } catch (e) {
+      if (!(e instanceof DryRunRollback)) {
+        throw e
+      }
+      numChanged = e.numChanged
+    }
+    progress = {
+      ...newProgress,
+      numChanged: progress.numChanged + numChanged
+    }
+    if (onProgress) {
+      await onProgress({ ...progress })
+    }
+  }
+  return progress
+}
+
+module.exports = {
+  MigrationCheckpoint,
+  runMigration
+}
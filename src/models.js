@@ -1,22 +1,31 @@
 const assert = require('assert')
 
-const { Transaction } = require('@google-cloud/firestore')
+const { FieldValue } = require('@google-cloud/firestore')
 const S = require('@pocketgems/schema')
+const deepeq = require('fast-deep-equal')
 const stableStringify = require('fast-json-stable-stringify')
 
 const { Data } = require('./data')
 const {
   InvalidFieldError,
   InvalidParameterError,
-  GenericModelError
+  GenericModelError,
+  ModelValidationError
 } = require('./errors')
-const { __Field, SCHEMA_TYPE_TO_FIELD_CLASS_MAP } = require('./fields')
+const { __Field, getFieldClass } = require('./fields')
+const { geohashFieldName } = require('./geo')
 const { Key } = require('./key')
+const { MAX_DISJUNCTION_SIZE, Scan } = require('./query')
 const {
+  validateLastUpdateTime,
   validateValue,
   SCHEMA_TYPE_TO_JS_TYPE_MAP
 } = require('./utils')
 
+// the doc field which stores the SCHEMA_VERSION a doc was written with (field
+// names cannot start with an underscore, so it never clashes with a field)
+const SCHEMA_VERSION_FIELD = '_schemaVersion'
+
 /**
  * The base class for modeling data.
  */
@@ -25,7 +34,8 @@ class Model {
    * Create a representation of a database Doc. Should only be used by the
    * library.
    */
-  constructor (isNew, vals, isForUpdateAndMayBePartial = false, isSet = false) {
+  constructor (isNew, vals, isForUpdateAndMayBePartial = false, isSet = false,
+    isMigrated = false) {
     this.constructor.__doOneTimeModelPrep()
     assert.ok(typeof isNew === 'boolean', 'isNew must be a boolean')
     assert.ok(typeof isForUpdateAndMayBePartial === 'boolean',
@@ -35,6 +45,22 @@ class Model {
     this.__isSet = isSet
     assert.ok(!isSet || !isForUpdateAndMayBePartial,
       'may not be partial when using isSet')
+    // whether the doc was upgraded from an older SCHEMA_VERSION (if so, the
+    // whole doc is rewritten)
+    this.__isMigrated = isMigrated
+    assert.ok(!isMigrated || !isNew, 'new models cannot be migrated')
+    // names of the fields in the stored doc (only needed if migrated)
+    this.__storedDocFieldNames = []
+    // each field's value right after migrating (only needed if migrated)
+    this.__migratedValues = {}
+
+    // precondition for writing changes to (or deleting) this model's doc
+    this.__precondition = undefined
+
+    // doc metadata (undefined until read from or written to the db)
+    this.__createTime = undefined
+    this.__updateTime = undefined
+    this.__readTime = undefined
 
     // __cached_attrs has a __Field subclass object for each non-key attribute.
     this.__cached_attrs = {}
@@ -42,6 +68,9 @@ class Model {
     // __cached_attrs has a __Field subclass object for each non-key attribute.
     this.__attr_getters = {}
 
+    // discards each attribute's field (so it will be re-created when needed)
+    this.__attr_discarders = {}
+
     // pull out the Key for this doc
     let keyComponents
     if (vals.__id !== undefined) {
@@ -57,6 +86,13 @@ class Model {
     for (const [name, opts] of Object.entries(this.constructor._attrs)) {
       this.__addField(name, opts, vals)
     }
+    if (isMigrated) {
+      // the fields have no initial value to compare against (since the
+      // whole doc is rewritten), so remember what the migration produced
+      for (const [name, field] of Object.entries(this.__cached_attrs)) {
+        this.__migratedValues[name] = field.__copy(field.__value)
+      }
+    }
 
     Object.seal(this)
   }
@@ -72,20 +108,157 @@ class Model {
   async finalize () {
   }
 
+  /**
+   * Hook called after this model is read from the database (by a get, a
+   * query or a scan). It is not called for models which did not exist (e.g.,
+   * ones returned by createIfMissing).
+   * @param {Context} [ctx] the context the model was read by (undefined if it
+   *   was read by a scan)
+   */
+  async afterLoad (ctx) {
+  }
+
+  /**
+   * Hook called before the transaction commits if this is a new model (i.e.,
+   * from create(), createOrOverwrite() or createIfMissing). It may change
+   * this (or any other) model, or throw to abort the transaction.
+   * @param {Context} ctx the context which will write this model
+   */
+  async beforeCreate (ctx) {
+  }
+
+  /**
+   * Hook called before the transaction commits if this existing model was
+   * changed. It may change this (or any other) model, or throw to abort the
+   * transaction. It is not called by updateWithoutRead().
+   * @param {Context} ctx the context which will write this model
+   * @param {Object<String, Object>} changes maps the name of each changed
+   *   field to its value when read (before) and its current value (after),
+   *   e.g., { score: { before: 1, after: 2 } }; the values of a migrated
+   *   model are compared with what its migration produced
+   */
+  async beforeUpdate (ctx, changes) {
+  }
+
+  /**
+   * Hook called when Context.delete() is asked to delete this model (or the
+   * key of this model, if the context has read it). It may throw to abort the
+   * transaction.
+   * @param {Context} ctx the context which will delete this model
+   */
+  async beforeDelete (ctx) {
+  }
+
+  /**
+   * Calls the hook for a model which is about to be written.
+   * @param {Context} ctx the context which will write this model
+   * @package
+   */
+  async __beforeWrite (ctx) {
+    if (this.isNew) {
+      await this.beforeCreate(ctx)
+    } else {
+      await this.beforeUpdate(ctx, this.__getChanges())
+    }
+  }
+
+  /**
+   * Returns the value before and after of each field with changes to commit.
+   * @private
+   */
+  __getChanges () {
+    const changes = {}
+    for (const field of Object.values(this.__cached_attrs)) {
+      if (field.isKey) {
+        continue
+      }
+      if (this.__isMigrated) {
+        // every field of a migrated model is written, so only report the
+        // ones which differ from what the migration produced
+        const before = this.__migratedValues[field.name]
+        if (!deepeq(before, field.__value)) {
+          changes[field.name] = { before, after: field.__value }
+        }
+      } else if (field.hasChangesToCommit(true)) {
+        changes[field.name] = {
+          before: field.__initialValue,
+          after: field.__value
+        }
+      }
+    }
+    return changes
+  }
+
+  /**
+   * When the doc was created, or undefined if unknown (e.g., the model is new
+   * and has not been saved yet).
+   * @type {Timestamp|undefined}
+   */
+  get createTime () {
+    return this.__createTime
+  }
+
+  /**
+   * When the doc was last updated, or undefined if unknown. Refreshed when
+   * this model's changes are committed.
+   * @type {Timestamp|undefined}
+   */
+  get updateTime () {
+    return this.__updateTime
+  }
+
+  /**
+   * When the doc was read from the db, or undefined if it was not read.
+   * @type {Timestamp|undefined}
+   */
+  get readTime () {
+    return this.__readTime
+  }
+
+  /**
+   * Updates the doc metadata after this model's changes were committed.
+   * @param {WriteResult} writeResult the result of writing this model's doc
+   * @package
+   */
+  __gotWriteResult (writeResult) {
+    this.__updateTime = writeResult.writeTime
+    if (this.isNew) {
+      // an overwritten doc may have been created earlier
+      this.__createTime = this.__isSet ? undefined : writeResult.writeTime
+    }
+  }
+
+  /**
+   * Makes writing this model's changes (or deleting it) fail with a
+   * PreconditionFailedError if its doc was updated after lastUpdateTime. This
+   * is checked by the database when the transaction commits.
+   *
+   * @param {Timestamp} lastUpdateTime when the doc was last known to change
+   */
+  expectUnchangedSince (lastUpdateTime) {
+    validateLastUpdateTime('lastUpdateTime', lastUpdateTime)
+    if (this.isNew) {
+      throw new GenericModelError('new models cannot have an update time',
+        this.constructor.collectionName, this.__key.encodedKey)
+    }
+    this.__precondition = { lastUpdateTime }
+  }
+
   __addField (name, opts, vals) {
     const valSpecified = Object.hasOwnProperty.call(vals, name)
     const getCachedField = () => {
       if (this.__cached_attrs[name]) {
         return this.__cached_attrs[name]
       }
-      const Cls = SCHEMA_TYPE_TO_FIELD_CLASS_MAP[opts.schema.type]
+      const Cls = getFieldClass(opts.schema)
       // can't force validation of undefined values for blind updates because
       //   they are permitted to omit fields
       const field = new Cls({
         name,
         opts,
         val: vals[name],
-        valIsFromDB: !this.isNew && !this.__isPartial,
+        // migrated values are written in full, just like a new model's
+        valIsFromDB: !this.isNew && !this.__isPartial && !this.__isMigrated,
         valSpecified: valSpecified,
         isForUpdate: this.__isPartial
       })
@@ -94,7 +267,17 @@ class Model {
       return field
     }
     this.__attr_getters[name] = getCachedField
-    if (this.isNew || (this.__isPartial && valSpecified)) {
+    this.__attr_discarders[name] = () => {
+      // the field's value may be (and its changes may have been made to) the
+      // object in vals, so put back the value it was created from
+      const field = this.__cached_attrs[name]
+      if (valSpecified) {
+        vals[name] = field.__copy(field.__initialValue)
+      }
+      delete this.__cached_attrs[name]
+    }
+    if (this.isNew || this.__isMigrated ||
+        (this.__isPartial && valSpecified)) {
       getCachedField() // create the field now to trigger validation
     }
     Object.defineProperty(this, name, {
@@ -127,6 +310,9 @@ class Model {
     if (Object.keys(this.KEY).length === 0) {
       throw new InvalidFieldError('KEY', '/at least one partition key field/')
     }
+    if (this.PARENT !== undefined && !(this.PARENT.prototype instanceof Model)) {
+      throw new InvalidFieldError('PARENT', 'must be a Model class')
+    }
 
     // cannot use the names of non-static Model members (only need to list
     // those that are defined by the constructor; those which are on the
@@ -134,7 +320,8 @@ class Model {
     const reservedNames = new Set(['isNew'])
     const proto = this.prototype
     const ret = {}
-    for (const schema of [this.KEY, this.__getFields()]) {
+    const parentKeySchema = this.PARENT ? this.PARENT.__allKeySchemas : {}
+    for (const schema of [parentKeySchema, this.KEY, this.__getFields()]) {
       for (const [key, val] of Object.entries(schema)) {
         if (ret[key]) {
           throw new InvalidFieldError(
@@ -158,6 +345,16 @@ class Model {
     return this.__validatedSchema()
   }
 
+  /**
+   * The schemas of this model's key components, including those of its
+   * ancestors' keys (if any).
+   * @package
+   */
+  static get __allKeySchemas () {
+    const parentKeySchema = this.PARENT ? this.PARENT.__allKeySchemas : {}
+    return { ...parentKeySchema, ...this.KEY }
+  }
+
   static get __keyOrder () {
     if (Object.constructor.hasOwnProperty.call(this, '__CACHED_KEY_ORDER')) {
       return this.__CACHED_KEY_ORDER
@@ -200,7 +397,8 @@ class Model {
     // and FIELDS.
     this._attrs = {}
     this.__KEY_COMPONENT_NAMES = new Set()
-    const partitionKeys = new Set(this.__keyOrder)
+    // a nested model's key includes its parent's key components
+    const partitionKeys = new Set(Object.keys(this.__allKeySchemas))
     for (const [fieldName, schema] of Object.entries(this.schema.objectSchemas)) {
       const isKey = partitionKeys.has(fieldName)
       const finalFieldOpts = __Field.__validateFieldOptions(
@@ -210,6 +408,68 @@ class Model {
         this.__KEY_COMPONENT_NAMES.add(fieldName)
       }
     }
+
+    const version = this.SCHEMA_VERSION
+    if (!Number.isInteger(version) || version < 1) {
+      throw new InvalidFieldError('SCHEMA_VERSION', 'must be a positive integer')
+    }
+    for (const [migrationVersion, migration] of Object.entries(
+      this.MIGRATIONS)) {
+      const n = Number(migrationVersion)
+      if (!Number.isInteger(n) || n < 2 || n > version) {
+        throw new InvalidFieldError('MIGRATIONS',
+          `version ${migrationVersion} must be between 2 and SCHEMA_VERSION`)
+      }
+      if (typeof migration !== 'function') {
+        throw new InvalidFieldError('MIGRATIONS',
+          `version ${migrationVersion} must be a function`)
+      }
+    }
+
+    for (const [description, constraint] of Object.entries(
+      this.CONSTRAINTS)) {
+      if (typeof constraint !== 'function') {
+        throw new InvalidFieldError('CONSTRAINTS',
+          `"${description}" must be a function`)
+      }
+    }
+
+    // doc fields which are written along with some other field (they are not
+    // part of the model)
+    this.__COMPANION_FIELD_NAMES = new Set()
+    for (const [fieldName, opts] of Object.entries(this._attrs)) {
+      if (opts.schema.geohash) {
+        const companionName = geohashFieldName(fieldName)
+        if (this._attrs[companionName]) {
+          throw new InvalidFieldError(companionName,
+            `is reserved for the geohash of ${fieldName}`)
+        }
+        this.__COMPANION_FIELD_NAMES.add(companionName)
+      }
+    }
+
+    const Base = this.__discriminatorBase
+    if (Base === this) {
+      if (typeof this.DISCRIMINATOR !== 'string' || !this.DISCRIMINATOR.length) {
+        throw new InvalidFieldError('DISCRIMINATOR', 'must be a non-empty string')
+      }
+      // subclasses keyed by their discriminator value
+      this.__SUBCLASSES = new Map()
+    } else if (Base) {
+      if (!Object.hasOwnProperty.call(this, '__DISCRIMINATOR_VALUE')) {
+        throw new InvalidFieldError(this.name,
+          `must be registered with ${Base.name}.registerSubclass()`)
+      }
+      if (this.KEY !== Base.KEY || this.PARENT !== Base.PARENT ||
+          this.collectionName !== Base.collectionName) {
+        throw new InvalidFieldError(this.name,
+          `must use the KEY, PARENT and collection of ${Base.name}`)
+      }
+    }
+    if (Base && this._attrs[Base.DISCRIMINATOR]) {
+      throw new InvalidFieldError(Base.DISCRIMINATOR,
+        'is reserved for the DISCRIMINATOR')
+    }
   }
 
   /**
@@ -240,6 +500,190 @@ class Model {
    */
   static FIELDS = {}
 
+  /**
+   * Defines the model whose docs this model's docs are nested under. By
+   * default, docs are stored in a top-level collection.
+   *
+   * A nested model's key includes all of its parent's key components (in
+   * addition to the components in its own KEY), so their names must not
+   * overlap:
+   * @example
+   *   class Comment extends db.Model {
+   *     static PARENT = Post // Post's KEY is { id: ... }
+   *     static KEY = { commentID: S.SCHEMAS.UUID }
+   *   }
+   *   // Comment docs are stored at Post/{id}/Comment/{commentID}
+   */
+  static PARENT = undefined
+
+  /**
+   * The version of this model's FIELDS. Increase it when a change to FIELDS
+   * means older docs would no longer be valid, and add a migration for the
+   * new version to MIGRATIONS. Docs are stored with the version they were
+   * written with (docs without one are version 1).
+   */
+  static SCHEMA_VERSION = 1
+
+  /**
+   * Functions which upgrade a doc's data to a SCHEMA_VERSION, keyed by that
+   * version. When a doc with an older version is read, the migration for
+   * each newer version runs (in order) before the model is constructed. Each
+   * is passed the doc's data (as stored in Firestore, excluding key
+   * components) and returns the data for its version. Migrated docs are
+   * rewritten when the transaction commits.
+   * @example
+   *   static SCHEMA_VERSION = 2
+   *   static MIGRATIONS = {
+   *     // version 2 split name into firstName and lastName
+   *     2: ({ name, ...data }) => {
+   *       const [firstName, lastName] = name.split(' ')
+   *       return { ...data, firstName, lastName }
+   *     }
+   *   }
+   */
+  static MIGRATIONS = {}
+
+  /**
+   * Rules which involve more than one field, keyed by a description of the
+   * rule. Each is passed the model's data (like toJSON()) and returns whether
+   * the rule holds. They are checked whenever a model is read from or about
+   * to be written to the database; if any does not hold, a
+   * ModelValidationError listing every violated rule is thrown. They are not
+   * checked for partial models (i.e., updateWithoutRead()).
+   * @example
+   *   static CONSTRAINTS = {
+   *     'endDate must not be before startDate':
+   *       ({ startDate, endDate }) => endDate >= startDate,
+   *     'exactly one of email and phone must be set':
+   *       ({ email, phone }) => (email === undefined) !== (phone === undefined)
+   *   }
+   */
+  static CONSTRAINTS = {}
+
+  /**
+   * The name of the doc field which records which model a doc holds. A model
+   * which declares it is polymorphic: subclasses registered with
+   * {@link Model.registerSubclass} share its collection (and KEY), and reading
+   * a doc returns an instance of the subclass it was written by. Docs written
+   * by the model itself do not have this field.
+   * @example
+   *   class Animal extends db.Model {
+   *     static DISCRIMINATOR = 'kind'
+   *     static FIELDS = { name: S.str }
+   *   }
+   *   class Dog extends Animal {
+   *     static FIELDS = { ...Animal.FIELDS, goodBoy: S.bool }
+   *   }
+   *   Animal.registerSubclass(Dog, 'dog')
+   */
+  static DISCRIMINATOR = undefined
+
+  /**
+   * Registers a subclass of this polymorphic model (see DISCRIMINATOR). The
+   * subclass is validated immediately. Queries of a subclass filter on the
+   * discriminator values of it and its subclasses, so each may have at most
+   * 30 of them (Firestore's limit for "in" filters).
+   * @param {Model} Cls a subclass of this model
+   * @param {String} [value] the discriminator value stored in the subclass's
+   *   docs (defaults to its class name)
+   */
+  static registerSubclass (Cls, value = Cls?.name) {
+    if (this.__discriminatorBase !== this) {
+      throw new InvalidFieldError('DISCRIMINATOR',
+        `must be declared by ${this.name} to register subclasses`)
+    }
+    if (!(Cls?.prototype instanceof this)) {
+      throw new InvalidParameterError('Cls', `must be a subclass of ${this.name}`)
+    }
+    if (typeof value !== 'string' || !value.length) {
+      throw new InvalidParameterError('value', 'must be a non-empty string')
+    }
+    this.__doOneTimeModelPrep()
+    if (this.__SUBCLASSES.has(value) ||
+        Object.hasOwnProperty.call(Cls, '__DISCRIMINATOR_VALUE')) {
+      throw new InvalidParameterError('Cls',
+        `${Cls.name} or "${value}" is already registered`)
+    }
+    // queries of a subclass filter on the discriminator values of it and its
+    // subclasses with "in", which Firestore limits to MAX_DISJUNCTION_SIZE
+    for (let Sub = Cls; Sub !== this; Sub = Object.getPrototypeOf(Sub)) {
+      let numValues = 1 // for Cls
+      for (const Other of this.__SUBCLASSES.values()) {
+        if (Other === Sub || Other.prototype instanceof Sub) {
+          numValues++
+        }
+      }
+      if (numValues > MAX_DISJUNCTION_SIZE) {
+        throw new InvalidParameterError('Cls',
+          `would make queries of ${Sub.name} filter on more than ` +
+          `${MAX_DISJUNCTION_SIZE} ${this.DISCRIMINATOR} values`)
+      }
+    }
+    Cls.__DISCRIMINATOR_VALUE = value
+    Cls.__doOneTimeModelPrep()
+    this.__SUBCLASSES.set(value, Cls)
+  }
+
+  /**
+   * The model which declared this model's DISCRIMINATOR, or undefined if this
+   * model is not polymorphic.
+   * @package
+   */
+  static get __discriminatorBase () {
+    for (let Cls = this; Cls !== Model; Cls = Object.getPrototypeOf(Cls)) {
+      if (Object.hasOwnProperty.call(Cls, 'DISCRIMINATOR')) {
+        return Cls
+      }
+    }
+    return undefined
+  }
+
+  /**
+   * Returns the class of the model a doc holds.
+   * @param {Key} key the doc's key
+   * @param {DocumentSnapshot} doc the doc's snapshot (only its DISCRIMINATOR
+   *   field is needed)
+   * @returns {Model|undefined} this model or one of its subclasses, or
+   *   undefined if the doc holds some other model which shares its collection
+   * @package
+   */
+  static __classForDoc (key, doc) {
+    this.__doOneTimeModelPrep()
+    const Base = this.__discriminatorBase
+    if (!Base) {
+      return this
+    }
+    const value = doc.get(Base.DISCRIMINATOR)
+    const Cls = value === undefined ? Base : Base.__SUBCLASSES.get(value)
+    if (!Cls) {
+      throw new GenericModelError(
+        `doc has unknown ${Base.DISCRIMINATOR} "${value}"`,
+        this.collectionName, key.encodedKey)
+    }
+    return (Cls === this || Cls.prototype instanceof this) ? Cls : undefined
+  }
+
+  /**
+   * The filter which restricts a query on a subclass of a polymorphic model
+   * to the docs of that subclass (and its subclasses), if any.
+   * @returns {Array|undefined} a field name, operator and value
+   * @package
+   */
+  static get __discriminatorFilter () {
+    const Base = this.__discriminatorBase
+    if (!Base || Base === this) {
+      return undefined
+    }
+    this.__doOneTimeModelPrep()
+    const values = []
+    for (const [value, Cls] of Base.__SUBCLASSES) {
+      if (Cls === this || Cls.prototype instanceof this) {
+        values.push(value)
+      }
+    }
+    return [Base.DISCRIMINATOR, 'in', values]
+  }
+
   get _id () {
     return this.constructor.__encodeCompoundValue(
       this.constructor.__keyOrder,
@@ -264,14 +708,16 @@ class Model {
 
   /**
    * This is the name of the collection this model is for. By default, the
-   * collection name is the model's class name. However, classes may choose
-   * to override this method and provide there own name (e.g., for co-existed
-   * models where multiple models have data in one collection).
+   * collection name is the model's class name (or, for a subclass of a
+   * polymorphic model, the collection name of the model which declared its
+   * DISCRIMINATOR). However, classes may choose to override this method and
+   * provide there own name.
    *
    * @type {String}
    */
   static get collectionName () {
-    return this.name
+    const Base = this.__discriminatorBase
+    return Base && Base !== this ? Base.collectionName : this.name
   }
 
   /**
@@ -294,35 +740,74 @@ class Model {
       }
     })
     const _id = this.__encodeCompoundValue(this.__keyOrder, keyComponents)
+    if (this.PARENT) {
+      this.__parentKey(keyComponents) // validates the parent's key components
+    }
     return [_id, keyComponents, modelData]
   }
 
+  /**
+   * Returns the Key of the parent doc a nested doc is stored under.
+   * @param {Object} keyComponents the nested doc's key components (which
+   *   include its parent's key components)
+   * @package
+   */
+  static __parentKey (keyComponents) {
+    const Parent = this.PARENT
+    Parent.__doOneTimeModelPrep()
+    const parentKeyComponents = {}
+    for (const name of Parent.__KEY_COMPONENT_NAMES) {
+      if (keyComponents[name] === undefined) {
+        throw new InvalidFieldError(name, 'must be provided')
+      }
+      parentKeyComponents[name] = keyComponents[name]
+    }
+    return Parent.key(parentKeyComponents)
+  }
+
   async __write (ctx) {
-    // If ctx is a Transaction object, then its mutator methods like create(),
-    // etc.return the Transaction object (for chaining). There's no promise in
-    // this case because the updates will be flushed when the transaction
-    // commits.
-    // If ctx is the Firestore object, then a promise is returned. In that case
-    // we await on it here.
+    // Writes made in a transaction are queued until it commits. Otherwise, a
+    // promise may be returned (e.g., if the write filled a batch which is
+    // being committed). In that case we await on it here.
     // The return value from this function is always undefined for consistency.
-    const ret = this.__writeHelper(ctx)
-    if (ret instanceof Transaction) {
-      return
-    }
-    await ret
+    await this.finalize()
+    await this.__writeHelper(ctx)
   }
 
   __writeHelper (ctx) {
     const docRef = this.__key.docRef
-    this.finalize()
+    if (!this.__isPartial) {
+      this.__checkConstraints()
+    }
     const data = {}
+    const writeAllFields = this.isNew || this.__isMigrated
     for (const field of Object.values(this.__cached_attrs)) {
       if (!field.isKey) {
-        if (field.hasChangesToCommit(true) || this.isNew) {
+        if (field.hasChangesToCommit(true) || writeAllFields) {
           const val = field.__valueForFirestoreWrite()
-          if (val !== undefined) {
-            data[field.name] = val
+          if (writeAllFields) {
+            if (val !== undefined) {
+              data[field.name] = val
+            }
+          } else {
+            Object.assign(data, field.__valuesForFirestoreUpdate(val))
           }
+          Object.assign(data, field.__companionValuesForFirestoreWrite(val))
+        }
+      }
+    }
+    if (writeAllFields && this.constructor.SCHEMA_VERSION > 1) {
+      data[SCHEMA_VERSION_FIELD] = this.constructor.SCHEMA_VERSION
+    }
+    const Base = this.constructor.__discriminatorBase
+    if (writeAllFields && Base && Base !== this.constructor) {
+      data[Base.DISCRIMINATOR] = this.constructor.__DISCRIMINATOR_VALUE
+    }
+    if (this.__isMigrated) {
+      // remove anything the migrations removed from the doc
+      for (const name of this.__storedDocFieldNames) {
+        if (!Object.hasOwnProperty.call(data, name)) {
+          data[name] = FieldValue.delete()
         }
       }
     }
@@ -331,10 +816,10 @@ class Model {
       // write the entire document from scratch
       if (this.__isSet) {
         // overwrite if it already exists (create if missing)
-        return ctx.__dbCtx.set(docRef, data, { merge: false })
+        return ctx.__queueWrite(this, 'set', [docRef, data, { merge: false }])
       } else {
         // fail if it already exists
-        return ctx.__dbCtx.create(docRef, data)
+        return ctx.__queueWrite(this, 'create', [docRef, data])
       }
     } else {
       if (!Object.keys(data).length) {
@@ -342,7 +827,61 @@ class Model {
           'update did not provide any data to change',
           this.constructor.collectionName, this.__key.encodedKey)
       }
-      return ctx.__dbCtx.update(docRef, data)
+      const precondition = this.__precondition ? [this.__precondition] : []
+      return ctx.__queueWrite(this, 'update', [docRef, data, ...precondition])
+    }
+  }
+
+  /**
+   * Returns a copy of this model's state which can be restored by
+   * __setState() to undo any changes made after this call.
+   * @package
+   */
+  __getState () {
+    // fields are created as needed; those created later are discarded by
+    // __setState() rather than copied (and validated) now
+    const fields = {}
+    for (const [name, field] of Object.entries(this.__cached_attrs)) {
+      fields[name] = field.__getState()
+    }
+    return { fields, precondition: this.__precondition }
+  }
+
+  /**
+   * Restores the state returned by __getState().
+   * @param {Object} state
+   * @package
+   */
+  __setState ({ fields, precondition }) {
+    for (const [name, field] of Object.entries(this.__cached_attrs)) {
+      if (fields[name]) {
+        field.__setState(fields[name])
+      } else {
+        this.__attr_discarders[name]()
+      }
+    }
+    this.__precondition = precondition
+  }
+
+  /**
+   * Throws a ModelValidationError if this model violates any of its
+   * CONSTRAINTS.
+   * @private
+   */
+  __checkConstraints () {
+    const constraints = Object.entries(this.constructor.CONSTRAINTS)
+    if (!constraints.length) {
+      return
+    }
+    // a snapshot doesn't mark fields as accessed (which would prevent them
+    // from being written with increments or array operations)
+    const data = this.getSnapshot()
+    const violations = constraints
+      .filter(([description, constraint]) => !constraint(data))
+      .map(([description]) => description)
+    if (violations.length) {
+      throw new ModelValidationError(this.constructor.collectionName,
+        this.__key.encodedKey, violations)
     }
   }
 
@@ -358,6 +897,10 @@ class Model {
     if (this.isNew) {
       return true
     }
+    if (this.__isMigrated) {
+      // migrated docs only need to be rewritten if writes are allowed
+      return expectWrites
+    }
     for (const field of Object.values(this.__cached_attrs)) {
       if (field.hasChangesToCommit(expectWrites)) {
         // If any field has changes that need to be committed,
@@ -462,6 +1005,145 @@ class Model {
     return new Key(this, encodedKey, keyComponents)
   }
 
+  /**
+   * Returns the Key for a document ID.
+   * @param {String} encodedKey a document ID as produced by
+   *   __encodeCompoundValue
+   * @param {Key} [parentKey] the key of the parent doc (nested models only)
+   * @returns {Key} a Key object.
+   * @package
+   */
+  static __keyFromEncodedKey (encodedKey, parentKey) {
+    this.__doOneTimeModelPrep()
+    const keyComponents = this.__decodeCompoundValue(
+      this.__keyOrder, encodedKey)
+    if (parentKey) {
+      Object.assign(keyComponents, parentKey.keyComponents)
+    }
+    return new Key(this, encodedKey, keyComponents)
+  }
+
+  /**
+   * Returns the Key for a document reference (e.g., one read from a query
+   * result).
+   * @param {DocumentReference} docRef a reference to a doc
+   * @returns {Key|undefined} a Key object, or undefined if the doc is not in
+   *   a collection for this model (e.g., a top-level doc when this is a
+   *   nested model)
+   * @package
+   */
+  static __keyFromDocRef (docRef) {
+    const models = []
+    for (let Cls = this; Cls; Cls = Cls.PARENT) {
+      models.unshift(Cls)
+    }
+    // paths alternate between collection names and doc IDs
+    const pieces = docRef.path.split('/')
+    if (pieces.length !== models.length * 2 ||
+        models.some((Cls, i) => pieces[i * 2] !== Cls.collectionName)) {
+      return undefined
+    }
+    let key
+    for (let i = 0; i < models.length; i++) {
+      key = models[i].__keyFromEncodedKey(pieces[i * 2 + 1], key)
+    }
+    return key
+  }
+
+  /**
+   * Returns the Key for a doc returned by a query, if the doc holds this
+   * model. Collection groups include every collection with the same name (and
+   * polymorphic models share one), so a query's docs may hold other models.
+   * @param {DocumentSnapshot} doc the doc's snapshot (only its DISCRIMINATOR
+   *   field is needed)
+   * @returns {Key|undefined} the doc's Key, or undefined if the doc holds
+   *   some other model
+   * @package
+   */
+  static __keyFromQueryDoc (doc) {
+    const key = this.__keyFromDocRef(doc.ref)
+    return key && this.__classForDoc(key, doc) ? key : undefined
+  }
+
+  /**
+   * Returns a model for a doc which exists in the database.
+   * @param {Key} key the doc's key
+   * @param {DocumentSnapshot} doc the doc's snapshot
+   * @package
+   */
+  static __fromSnapshot (key, doc) {
+    const Cls = this.__classForDoc(key, doc)
+    if (!Cls) {
+      throw new GenericModelError(
+        `doc does not hold a ${this.name}`,
+        this.collectionName, key.encodedKey)
+    }
+    if (Cls !== this) {
+      // polymorphic docs are read as the subclass they were written by
+      return Cls.__fromSnapshot(Cls.key(key.keyComponents), doc)
+    }
+    let data = doc.data()
+    const storedDocFieldNames = Object.keys(data)
+    for (const companionName of this.__COMPANION_FIELD_NAMES) {
+      delete data[companionName]
+    }
+    if (this.DISCRIMINATOR !== undefined) {
+      delete data[this.DISCRIMINATOR]
+    }
+    const version = data[SCHEMA_VERSION_FIELD] ?? 1
+    delete data[SCHEMA_VERSION_FIELD]
+    if (version > this.SCHEMA_VERSION) {
+      throw new GenericModelError(
+        `doc has SCHEMA_VERSION ${version} which is newer than ` +
+        `${this.SCHEMA_VERSION}`, this.collectionName, key.encodedKey)
+    }
+    data = this.__migrate(key, data, version)
+    // doc.data() only has data values; vals needs to include key values too
+    const vals = Object.assign(data, key.keyComponents)
+    const isMigrated = version < this.SCHEMA_VERSION
+    const model = new this(false, vals, false, false, isMigrated)
+    if (isMigrated) {
+      model.__storedDocFieldNames = storedDocFieldNames
+    }
+    model.__checkConstraints()
+    model.__createTime = doc.createTime
+    model.__updateTime = doc.updateTime
+    model.__readTime = doc.readTime
+    return model
+  }
+
+  /**
+   * Upgrades a doc's data to this model's SCHEMA_VERSION.
+   * @param {Key} key the doc's key
+   * @param {Object} data the doc's data
+   * @param {Integer} version the SCHEMA_VERSION data was written with
+   * @returns {Object} the upgraded data
+   * @private
+   */
+  static __migrate (key, data, version) {
+    for (let v = version + 1; v <= this.SCHEMA_VERSION; v++) {
+      const migration = this.MIGRATIONS[v]
+      if (migration) {
+        data = migration(data)
+        if (!(data instanceof Object)) {
+          throw new GenericModelError(
+            `migration to SCHEMA_VERSION ${v} did not return the doc's data`,
+            this.collectionName, key.encodedKey)
+        }
+      }
+    }
+    return data
+  }
+
+  /**
+   * Returns a Scan which reads every doc in this model's collection.
+   * @param {ScanOptions} [options]
+   * @returns {Scan} an async iterable of models
+   */
+  static scan (options) {
+    return new Scan(this, options)
+  }
+
   /**
    * Returns a Data fully describing a unique document in this model's DB collection.
    * @param {*} vals like the argument to key() but also includes non-key data
@@ -523,7 +1205,9 @@ class Model {
     for (const [name, getter] of Object.entries(this.__attr_getters)) {
       const field = getter()
       if (field.isKey) {
-        if (dbKeys || omitKey) {
+        // a parent's key components are not part of _id so they're kept
+        const isInID = Object.hasOwnProperty.call(this.constructor.KEY, name)
+        if (omitKey || (dbKeys && isInID)) {
           continue
         }
       }
@@ -0,0 +1,594 @@
+const assert = require('assert')
+
+const {
+  AggregateField,
+  FieldPath,
+  GeoPoint,
+  Timestamp
+} = require('@google-cloud/firestore')
+
+const DBError = require('./db-error')
+const { InvalidOptionsError, InvalidParameterError } = require('./errors')
+const { NumberField, SCHEMA_TYPE_TO_FIELD_CLASS_MAP } = require('./fields')
+const {
+  distanceBetween,
+  geohashFieldName,
+  geohashQueryBounds
+} = require('./geo')
+const { Key } = require('./key')
+const { toGeoPoint } = require('./schemas')
+const {
+  loadOptionDefaults,
+  SCHEMA_TYPE_TO_JS_TYPE_MAP,
+  validateValue
+} = require('./utils')
+
+// operators whose operand is a single value of the field's type
+const COMPARISON_OPERATORS = ['<', '<=', '==', '!=', '>=', '>']
+// operators whose operand is a list of values of the field's type
+const LIST_OPERATORS = ['in', 'not-in']
+// operators which only apply to array fields; their operand is an element (or
+// list of elements) of the array
+const ARRAY_OPERATORS = ['array-contains', 'array-contains-any']
+// Firestore limits how many values a disjunction may compare against
+const MAX_DISJUNCTION_SIZE = 30
+// how to give values of non-JSON field types to Firestore in conditions
+const CONDITION_VALUE_CONVERTERS = {
+  geopoint: toGeoPoint,
+  reference: key => key.docRef
+}
+// how to store values of non-JSON field types in page tokens
+const PAGE_TOKEN_CODECS = {
+  bytes: {
+    encode: value => value.toString('base64'),
+    decode: value => Buffer.from(value, 'base64')
+  },
+  geopoint: {
+    encode: point => [point.latitude, point.longitude],
+    decode: ([latitude, longitude]) => new GeoPoint(latitude, longitude)
+  },
+  reference: {
+    encode: docRef => docRef.path,
+    decode: path => Key.firestoreDB.doc(path)
+  },
+  timestamp: {
+    encode: value => [value.seconds, value.nanoseconds],
+    decode: ([seconds, nanoseconds]) => new Timestamp(seconds, nanoseconds)
+  }
+}
+
+/**
+ * Query describes a search for documents in a model's collection. Queries are
+ * built fluently and run through the {@link Context} which created them, so
+ * models they return are tracked (and saved) like those from `tx.get()`.
+ *
+ * @example
+ * const orders = await tx.query(Order)
+ *   .where('product', '==', 'coffee')
+ *   .orderBy('quantity', 'desc')
+ *   .limit(20)
+ *   .fetch()
+ * @public
+ */
+class Query {
+  /**
+   * Should only be constructed by {@link Context#query} or
+   * {@link Context#queryGroup}.
+   * @param {Context} ctx the context to run the query in
+   * @param {Model} Cls the Model class whose collection will be queried
+   * @param {Key} [parentKey] the parent doc whose collection will be queried
+   *   (required for nested models, and not allowed otherwise)
+   * @param {Boolean} [isGroup=false] whether to query the collections under
+   *   every parent doc (nested models only; parentKey must be omitted)
+   * @private
+   */
+  constructor (ctx, Cls, parentKey, isGroup = false) {
+    Cls.__doOneTimeModelPrep()
+    if (isGroup) {
+      if (!Cls.PARENT) {
+        throw new InvalidParameterError('Cls',
+          `must be a nested model but ${Cls.name} has no PARENT`)
+      }
+    } else if (Cls.PARENT) {
+      if (!(parentKey instanceof Key) || parentKey.Cls !== Cls.PARENT) {
+        throw new InvalidParameterError('parentKey',
+          `must be a ${Cls.PARENT.name} key to query nested ${Cls.name} docs`)
+      }
+    } else if (parentKey !== undefined) {
+      throw new InvalidParameterError('parentKey',
+        `must be omitted since ${Cls.name} docs are not nested`)
+    }
+    this.__ctx = ctx
+    this.__Cls = Cls
+    this.__parentKey = parentKey
+    this.__isGroup = isGroup
+    this.__filters = []
+    this.__orderBy = []
+    this.__limit = undefined
+  }
+
+  /**
+   * Returns the options for a non-key field, or throws if there is no such
+   * field on the model.
+   * @param {String} fieldName name of a field in FIELDS
+   * @private
+   */
+  __getFieldOpts (fieldName) {
+    const opts = this.__Cls._attrs[fieldName]
+    if (!opts) {
+      throw new InvalidParameterError('fieldName',
+        `${this.__Cls.name} has no field named ${fieldName}`)
+    }
+    if (opts.isKey) {
+      throw new InvalidParameterError('fieldName',
+        `${fieldName} is a key component; key components are not stored as ` +
+        'fields so they cannot be queried (use tx.get() instead)')
+    }
+    return opts
+  }
+
+  /**
+   * Restricts results to documents whose field matches the condition. The
+   * value is validated against the field's schema. Queries of a subclass of a
+   * polymorphic model filter on its discriminator with "in", so Firestore
+   * does not allow them to use "!=" or "not-in".
+   *
+   * @param {String} fieldName name of a field in FIELDS
+   * @param {String} op a Firestore comparison operator, e.g., "==" or "in"
+   * @param {*} value the value to compare the field to
+   * @returns {Query} this query (for chaining)
+   */
+  where (fieldName, op, value) {
+    const opts = this.__getFieldOpts(fieldName)
+    if (value === undefined) {
+      throw new InvalidParameterError('value', 'must not be undefined')
+    }
+    if (COMPARISON_OPERATORS.includes(op)) {
+      validateValue(fieldName, opts, value)
+    } else if (LIST_OPERATORS.includes(op)) {
+      checkDisjunctionValues(op, value)
+      value.forEach(v => validateValue(fieldName, opts, v))
+    } else if (ARRAY_OPERATORS.includes(op)) {
+      if (opts.schema.type !== 'array') {
+        throw new InvalidParameterError('op',
+          `${op} may only be used on array fields`)
+      }
+      if (op === 'array-contains') {
+        checkArrayElement(fieldName, opts, value)
+      } else {
+        checkDisjunctionValues(op, value)
+        value.forEach(v => checkArrayElement(fieldName, opts, v))
+      }
+    } else {
+      throw new InvalidParameterError('op', `unsupported operator ${op}`)
+    }
+    if (['!=', 'not-in'].includes(op) && this.__Cls.__discriminatorFilter) {
+      // Firestore does not allow these with the discriminator's "in" filter
+      throw new InvalidParameterError('op',
+        `${op} cannot be used in queries of ${this.__Cls.name} since they ` +
+        `filter on ${this.__Cls.__discriminatorBase.DISCRIMINATOR} with "in"`)
+    }
+    const convert = CONDITION_VALUE_CONVERTERS[opts.schema.type]
+    if (convert) {
+      value = LIST_OPERATORS.includes(op) ? value.map(convert) : convert(value)
+    }
+    this.__filters.push([fieldName, op, value])
+    return this
+  }
+
+  /**
+   * Sorts results by a field. May be called more than once to sort by
+   * additional fields.
+   *
+   * @param {String} fieldName name of a field in FIELDS
+   * @param {String} [direction='asc'] either "asc" or "desc"
+   * @returns {Query} this query (for chaining)
+   */
+  orderBy (fieldName, direction = 'asc') {
+    this.__getFieldOpts(fieldName)
+    if (!['asc', 'desc'].includes(direction)) {
+      throw new InvalidParameterError('direction',
+        'must be either "asc" or "desc"')
+    }
+    this.__orderBy.push([fieldName, direction])
+    return this
+  }
+
+  /**
+   * Limits the number of results.
+   *
+   * @param {Number} n a positive integer
+   * @returns {Query} this query (for chaining)
+   */
+  limit (n) {
+    if (!Number.isInteger(n) || n <= 0) {
+      throw new InvalidParameterError('n', 'must be a positive integer')
+    }
+    this.__limit = n
+    return this
+  }
+
+  /**
+   * Builds the underlying Firestore query.
+   * @private
+   */
+  __toFirestoreQuery () {
+    const collectionName = this.__Cls.collectionName
+    let query
+    if (this.__isGroup) {
+      query = Key.firestoreDB.collectionGroup(collectionName)
+    } else {
+      const parent = this.__parentKey ? this.__parentKey.docRef : Key.firestoreDB
+      query = parent.collection(collectionName)
+    }
+    const discriminatorFilter = this.__Cls.__discriminatorFilter
+    if (discriminatorFilter) {
+      query = query.where(...discriminatorFilter)
+    }
+    for (const [fieldName, op, value] of this.__filters) {
+      query = query.where(fieldName, op, value)
+    }
+    for (const [fieldName, direction] of this.__orderBy) {
+      query = query.orderBy(fieldName, direction)
+    }
+    if (this.__limit !== undefined) {
+      query = query.limit(this.__limit)
+    }
+    return query
+  }
+
+  /**
+   * Runs a Firestore query through this query's context.
+   * @private
+   */
+  async __getSnapshot (query) {
+    return this.__ctx.__dbCtx.get(query)
+      .catch(
+        // istanbul ignore next
+        e => {
+          throw new DBError('query', e)
+        })
+  }
+
+  /**
+   * Runs the query.
+   * @returns {Array<Model>} the models matching the query, in order
+   */
+  async fetch () {
+    const snapshot = await this.__getSnapshot(this.__toFirestoreQuery())
+    return this.__ctx.__gotQueryDocs(this.__Cls, snapshot.docs)
+  }
+
+  /**
+   * Finds models whose location is within radiusMeters of center. Used by
+   * {@link Context#queryNear}.
+   * @param {String} fieldName name of a geopoint field with a geohash
+   * @param {GeoPoint} center where to search from
+   * @param {Number} radiusMeters how far from center to search
+   * @returns {Array<Model>} the models found, nearest first
+   * @private
+   */
+  async __fetchNear (fieldName, center, radiusMeters) {
+    const opts = this.__getFieldOpts(fieldName)
+    if (!opts.schema.geohash) {
+      throw new InvalidParameterError('fieldName',
+        `${fieldName} must be a geopoint field with a geohash`)
+    }
+    center = toGeoPoint(center)
+    if (!(center instanceof GeoPoint)) {
+      throw new InvalidParameterError('center', 'must be a GeoPoint')
+    }
+    if (typeof radiusMeters !== 'number' || !(radiusMeters > 0)) {
+      throw new InvalidParameterError('radiusMeters',
+        'must be a positive number')
+    }
+    const geohashField = geohashFieldName(fieldName)
+    const snapshots = await Promise.all(
+      geohashQueryBounds(center, radiusMeters).map(([start, end]) => {
+        const query = this.__toFirestoreQuery()
+          .orderBy(geohashField).startAt(start).endAt(end)
+        return this.__getSnapshot(query)
+      }))
+    // the geohash ranges cover more than just the search area
+    const docs = snapshots.flatMap(snapshot => snapshot.docs).filter(
+      doc => distanceBetween(center, doc.get(fieldName)) <= radiusMeters)
+    const models = await this.__ctx.__gotQueryDocs(this.__Cls, docs)
+    const distance = model => distanceBetween(center, model[fieldName])
+    return models.sort((a, b) => distance(a) - distance(b))
+  }
+
+  /**
+   * Counts the docs matching the query without reading them.
+   * @returns {Number} the number of matching docs
+   */
+  async count () {
+    return this.__aggregate(AggregateField.count())
+  }
+
+  /**
+   * Sums a numeric field over the docs matching the query without reading
+   * them. Docs without a value for the field are ignored.
+   * @param {String} fieldName name of a numeric field in FIELDS
+   * @returns {Number} the sum (0 if no docs match)
+   */
+  async sum (fieldName) {
+    this.__checkNumberField(fieldName)
+    return this.__aggregate(AggregateField.sum(fieldName))
+  }
+
+  /**
+   * Averages a numeric field over the docs matching the query without reading
+   * them. Docs without a value for the field are ignored.
+   * @param {String} fieldName name of a numeric field in FIELDS
+   * @returns {Number|null} the average (null if no docs match)
+   */
+  async average (fieldName) {
+    this.__checkNumberField(fieldName)
+    return this.__aggregate(AggregateField.average(fieldName))
+  }
+
+  /**
+   * Throws if the field is not a numeric field.
+   * @private
+   */
+  __checkNumberField (fieldName) {
+    const opts = this.__getFieldOpts(fieldName)
+    if (SCHEMA_TYPE_TO_FIELD_CLASS_MAP[opts.schema.type] !== NumberField) {
+      throw new InvalidParameterError('fieldName',
+        `${fieldName} is not a number field so it cannot be aggregated`)
+    }
+  }
+
+  /**
+   * Runs an aggregation over the docs matching the query.
+   * @private
+   */
+  async __aggregate (aggregateField) {
+    const query = this.__toFirestoreQuery().aggregate({ result: aggregateField })
+    const snapshot = await this.__getSnapshot(query)
+    return snapshot.data().result
+  }
+
+  /**
+   * A page of query results.
+   * @typedef {Object} Page
+   * @property {Array<Model>} models the models on this page, in order
+   * @property {String} [nextPageToken] pass this to paginate() to get the
+   *   next page; undefined if there are no more results
+   */
+
+  /**
+   * Runs the query for one page of results. Results are additionally sorted
+   * by document ID so that every page picks up exactly where the previous
+   * one ended.
+   *
+   * Page tokens are opaque strings. They may be handed to clients and used
+   * later with a different context, but only to continue the same query.
+   *
+   * @param {Object} params
+   * @param {Number} params.pageSize the max number of models to return
+   * @param {String} [params.pageToken] the nextPageToken of the previous page
+   * @returns {Page}
+   */
+  async paginate ({ pageSize, pageToken } = {}) {
+    if (!Number.isInteger(pageSize) || pageSize <= 0) {
+      throw new InvalidParameterError('pageSize', 'must be a positive integer')
+    }
+    if (this.__limit !== undefined) {
+      throw new InvalidParameterError('limit',
+        'may not be used with paginate(); use pageSize instead')
+    }
+    const lastOrder = this.__orderBy[this.__orderBy.length - 1]
+    const direction = lastOrder ? lastOrder[1] : 'asc'
+    let query = this.__toFirestoreQuery()
+      .orderBy(FieldPath.documentId(), direction)
+      .limit(pageSize)
+    if (pageToken !== undefined) {
+      query = query.startAfter(...this.__decodePageToken(pageToken))
+    }
+    const snapshot = await this.__getSnapshot(query)
+    const models = await this.__ctx.__gotQueryDocs(this.__Cls, snapshot.docs)
+    let nextPageToken
+    if (snapshot.docs.length === pageSize) {
+      nextPageToken = this.__encodePageToken(snapshot.docs[pageSize - 1])
+    }
+    return { models, nextPageToken }
+  }
+
+  /**
+   * Returns a token which identifies the position of doc in the results.
+   * @param {DocumentSnapshot} doc the last doc on a page
+   * @private
+   */
+  __encodePageToken (doc) {
+    const token = {
+      _id: doc.id,
+      orderBy: this.__orderBy.map(([fieldName]) => {
+        const codec = this.__getPageTokenCodec(fieldName)
+        const value = doc.get(fieldName)
+        return [fieldName, codec ? codec.encode(value) : value]
+      })
+    }
+    if (this.__isGroup) {
+      // the doc ID alone doesn't say which parent's collection it came from
+      token.parent = doc.ref.parent.parent.path
+    }
+    return Buffer.from(JSON.stringify(token)).toString('base64url')
+  }
+
+  /**
+   * Returns how to encode the field's values in page tokens, or undefined if
+   * they can be stored as-is.
+   * @param {String} fieldName name of a field in FIELDS
+   * @private
+   */
+  __getPageTokenCodec (fieldName) {
+    return PAGE_TOKEN_CODECS[this.__Cls._attrs[fieldName].schema.type]
+  }
+
+  /**
+   * Returns the cursor values encoded in a page token.
+   * @param {String} pageToken a token from __encodePageToken
+   * @private
+   */
+  __decodePageToken (pageToken) {
+    try {
+      const token = JSON.parse(Buffer.from(pageToken, 'base64url').toString())
+      assert.ok(token.orderBy.length === this.__orderBy.length)
+      const values = token.orderBy.map(([fieldName, value], i) => {
+        assert.ok(fieldName === this.__orderBy[i][0])
+        const codec = this.__getPageTokenCodec(fieldName)
+        return codec ? codec.decode(value) : value
+      })
+      let parentKey = this.__parentKey
+      if (this.__isGroup) {
+        parentKey = this.__Cls.PARENT.__keyFromDocRef(
+          Key.firestoreDB.doc(token.parent))
+        assert.ok(parentKey)
+      }
+      // decoding the doc ID also checks that it is a valid key for this model
+      const docRef = this.__Cls.__keyFromEncodedKey(token._id, parentKey).docRef
+      return [...values, docRef]
+    } catch {
+      throw new InvalidParameterError('pageToken',
+        'is not a page token for this query')
+    }
+  }
+}
+
+/**
+ * Scan reads every document in a model's collection, a page at a time. The
+ * collection may be split into partitions which can be read in parallel
+ * (e.g., by separate workers). For nested models, every parent doc's
+ * collection is read.
+ *
+ * Docs are read without a transaction and the models yielded are not tracked
+ * by any context, so changes to them are not saved. Use a separate context to
+ * write changes (e.g., with `tx.updateWithoutRead()`).
+ *
+ * @example
+ * // read everything
+ * for await (const order of Order.scan()) {
+ *   // ...
+ * }
+ *
+ * // or hand each partition to its own worker
+ * const partitions = await Order.scan({ partitions: 8 }).getPartitions()
+ * await Promise.all(partitions.map(async partition => {
+ *   for await (const order of partition) {
+ *     // ...
+ *   }
+ * }))
+ * @public
+ */
+class Scan {
+  /**
+   * Options for scanning a collection.
+   * @typedef {Object} ScanOptions
+   * @property {Number} [partitions=1] The desired number of partitions.
+   *   Firestore may split the collection into fewer partitions than this.
+   * @property {Number} [pageSize=300] The number of docs to read per request.
+   */
+
+  /**
+   * Should only be constructed by {@link Model.scan}.
+   * @param {Model} Cls the Model class whose collection will be scanned
+   * @param {ScanOptions} [options]
+   * @private
+   */
+  constructor (Cls, options) {
+    Cls.__doOneTimeModelPrep()
+    this.__Cls = Cls
+    this.options = loadOptionDefaults(options, { partitions: 1, pageSize: 300 })
+    for (const opt of ['partitions', 'pageSize']) {
+      const val = this.options[opt]
+      if (!Number.isInteger(val) || val <= 0) {
+        throw new InvalidOptionsError(opt, 'Must be a positive integer')
+      }
+    }
+  }
+
+  /**
+   * Splits the collection into partitions.
+   * @returns {Array<AsyncIterable<Model>>} one iterable per partition; each
+   *   doc in the collection is in exactly one partition
+   */
+  async getPartitions () {
+    const collectionName = this.__Cls.collectionName
+    const group = Key.firestoreDB.collectionGroup(collectionName)
+    const ret = []
+    for await (const partition of group.getPartitions(this.options.partitions)) {
+      ret.push(this.__scanPartition(partition.toQuery()))
+    }
+    return ret
+  }
+
+  /**
+   * Yields a model for each doc matched by a partition's query.
+   * @private
+   */
+  async * __scanPartition (query) {
+    const pageSize = this.options.pageSize
+    query = query.limit(pageSize)
+    let lastDoc
+    do {
+      const pageQuery = lastDoc ? query.startAfter(lastDoc) : query
+      const snapshot = await pageQuery.get()
+        .catch(
+          // istanbul ignore next
+          e => {
+            throw new DBError('scan', e)
+          })
+      for (const doc of snapshot.docs) {
+        const key = this.__Cls.__keyFromQueryDoc(doc)
+        if (key) {
+          const model = this.__Cls.__fromSnapshot(key, doc)
+          // scanned models aren't read by any context
+          await model.afterLoad(undefined)
+          yield model
+        }
+      }
+      lastDoc = undefined
+      if (snapshot.docs.length === pageSize) {
+        lastDoc = snapshot.docs[pageSize - 1]
+      }
+    } while (lastDoc)
+  }
+
+  /**
+   * Yields a model for every doc in the collection, one partition at a time.
+   */
+  async * [Symbol.asyncIterator] () {
+    for (const partition of await this.getPartitions()) {
+      yield * partition
+    }
+  }
+}
+
+function checkDisjunctionValues (op, values) {
+  if (!(values instanceof Array) || values.length === 0) {
+    throw new InvalidParameterError('value',
+      `must be a non-empty array when using ${op}`)
+  }
+  if (values.length > MAX_DISJUNCTION_SIZE) {
+    throw new InvalidParameterError('value',
+      `may not have more than ${MAX_DISJUNCTION_SIZE} elements`)
+  }
+}
+
+function checkArrayElement (fieldName, opts, value) {
+  // only the element's type can be checked; constraints like minItems apply
+  // to the array as a whole
+  const itemType = opts.schema.items && opts.schema.items.type
+  const ValueType = SCHEMA_TYPE_TO_JS_TYPE_MAP[itemType]
+  if (ValueType && (value === null || value.constructor !== ValueType)) {
+    throw new InvalidParameterError('value',
+      `elements of ${fieldName} must be of type ${itemType}`)
+  }
+}
+
+module.exports = {
+  MAX_DISJUNCTION_SIZE,
+  Query,
+  Scan
+}
@@ -0,0 +1,285 @@
+const assert = require('assert')
+
+const { GeoPoint, Timestamp } = require('@google-cloud/firestore')
+const BaseS = require('@pocketgems/schema')
+
+const { NotImplementedError } = require('./errors')
+const { Key } = require('./key')
+
+// @pocketgems/schema only exports its schema classes via the objects S creates
+const BaseSchema = Object.getPrototypeOf(BaseS.str.constructor)
+const BaseMapSchema = BaseS.map.constructor
+
+/**
+ * Base class for schemas of Firestore types which JSON schema cannot
+ * describe. Values are validated by the schema itself rather than by a JSON
+ * schema validator.
+ *
+ * @private
+ */
+class __FirestoreTypeSchema extends BaseSchema {
+  export (visitor) {
+    return this.properties()
+  }
+
+  /**
+   * Returns why value is invalid, or undefined if it is valid.
+   * @param {*} value the value to check
+   * @returns {String|undefined}
+   */
+  __getError (value) {
+    throw new NotImplementedError()
+  }
+
+  compile (name, compiler, returnSchemaToo) {
+    assert.ok(name, 'name is required')
+    this.lock()
+    const jsonSchema = this.jsonSchema()
+    const assertValid = v => {
+      const error = this.__getError(v)
+      if (error) {
+        throw new BaseS.ValidationError(
+          name, v, [{ message: error }], jsonSchema)
+      }
+    }
+    if (returnSchemaToo) {
+      return { jsonSchema, assertValid }
+    }
+    return assertValid
+  }
+}
+
+/**
+ * Converts a Date to a Timestamp. Other values are returned as-is.
+ * @param {*} value
+ * @private
+ */
+function toTimestamp (value) {
+  return value instanceof Date ? Timestamp.fromDate(value) : value
+}
+
+/**
+ * Schema for a point in time. Values may be given as a JS Date or Firestore
+ * Timestamp, and are stored as a Firestore Timestamp.
+ */
+class TimestampSchema extends __FirestoreTypeSchema {
+  static JSON_SCHEMA_TYPE = 'timestamp'
+
+  /**
+   * Sets the earliest valid time (inclusive).
+   * @param {Date|Timestamp} time
+   */
+  min (time) {
+    return this.__setProp('minimum', this.__toRangeProperty('min', time))
+  }
+
+  /**
+   * Sets the latest valid time (inclusive).
+   * @param {Date|Timestamp} time
+   */
+  max (time) {
+    return this.__setProp('maximum', this.__toRangeProperty('max', time))
+  }
+
+  /**
+   * Returns time as an ISO string (JSON schema properties must be JSON).
+   * @param {String} name Property name
+   * @param {Date|Timestamp} time
+   */
+  __toRangeProperty (name, time) {
+    time = toTimestamp(time)
+    assert.ok(time instanceof Timestamp, `${name} must be a Date or Timestamp`)
+    return time.toDate().toISOString()
+  }
+
+  __getError (value) {
+    value = toTimestamp(value)
+    if (!(value instanceof Timestamp)) {
+      return 'must be a Date or Timestamp'
+    }
+    const millis = value.toMillis()
+    const { minimum, maximum } = this.properties()
+    if (minimum !== undefined && millis < Date.parse(minimum)) {
+      return `must not be before ${minimum}`
+    }
+    if (maximum !== undefined && millis > Date.parse(maximum)) {
+      return `must not be after ${maximum}`
+    }
+  }
+}
+
+/**
+ * Converts a Uint8Array to a Buffer (without copying its bytes). Other values
+ * are returned as-is.
+ * @param {*} value
+ * @private
+ */
+function toBuffer (value) {
+  if (value instanceof Uint8Array && !Buffer.isBuffer(value)) {
+    return Buffer.from(value.buffer, value.byteOffset, value.byteLength)
+  }
+  return value
+}
+
+/**
+ * Schema for binary data. Values may be given as a Buffer or Uint8Array, and
+ * are stored as Firestore Bytes (read back as a Buffer).
+ */
+class BytesSchema extends __FirestoreTypeSchema {
+  static JSON_SCHEMA_TYPE = 'bytes'
+
+  /**
+   * Sets the maximum number of bytes (inclusive).
+   * @param {Integer} n
+   */
+  maxLength (n) {
+    assert.ok(Number.isInteger(n) && n >= 0,
+      'maxLength must be a non-negative integer')
+    return this.__setProp('maxLength', n)
+  }
+
+  __getError (value) {
+    if (!(value instanceof Uint8Array)) {
+      return 'must be a Buffer or Uint8Array'
+    }
+    const maxLength = this.getProp('maxLength')
+    if (maxLength !== undefined && value.byteLength > maxLength) {
+      return `must not be longer than ${maxLength} bytes`
+    }
+  }
+}
+
+/**
+ * Converts an object with a valid latitude and longitude to a GeoPoint. Other
+ * values are returned as-is.
+ * @param {*} value
+ * @private
+ */
+function toGeoPoint (value) {
+  if (value?.constructor === Object) {
+    const { latitude, longitude } = value
+    if (Math.abs(latitude) <= 90 && Math.abs(longitude) <= 180) {
+      return new GeoPoint(latitude, longitude)
+    }
+  }
+  return value
+}
+
+/**
+ * Schema for a location on Earth. Values may be given as a Firestore GeoPoint
+ * or an object with latitude and longitude, and are stored as a GeoPoint.
+ */
+class GeoPointSchema extends __FirestoreTypeSchema {
+  static JSON_SCHEMA_TYPE = 'geopoint'
+
+  /**
+   * Also stores the location's geohash (in a doc field named like the field
+   * plus a "Geohash" suffix) so that the field can be searched with
+   * `tx.queryNear()`.
+   */
+  withGeohash () {
+    return this.__setProp('geohash', true)
+  }
+
+  __getError (value) {
+    if (!(toGeoPoint(value) instanceof GeoPoint)) {
+      return 'must be a GeoPoint (latitude must be between -90 and 90 and ' +
+        'longitude must be between -180 and 180)'
+    }
+  }
+}
+
+/**
+ * Schema for a reference to a doc of a particular model. Values are Keys, and
+ * are stored as a Firestore DocumentReference.
+ */
+class ReferenceSchema extends __FirestoreTypeSchema {
+  static JSON_SCHEMA_TYPE = 'reference'
+
+  /**
+   * @param {Model} Cls the Model class whose docs may be referenced
+   */
+  constructor (Cls) {
+    super()
+    // the class is kept in the (JSON) schema so fields can make Keys from
+    // the DocumentReferences read from the database
+    if (Cls) {
+      this.__setProp('model', Cls)
+    }
+  }
+
+  __getError (value) {
+    const Cls = this.getProp('model')
+    if (!(value instanceof Key) || value.Cls !== Cls) {
+      return `must be a ${Cls.name} key`
+    }
+  }
+}
+
+/**
+ * Schema for a map from string keys to values of one type. Unlike other
+ * object fields, individual keys of a map field can be changed (e.g.,
+ * incremented) without reading the map.
+ */
+class MapSchema extends BaseMapSchema {
+  constructor () {
+    super()
+    // tells fields to use a MapField (the JSON schema type is still object)
+    this.__setProp('map', true)
+  }
+}
+
+/**
+ * The schema builder from @pocketgems/schema, plus schemas for Firestore
+ * types.
+ */
+class S extends BaseS {
+  /**
+   * Get a new TimestampSchema object.
+   */
+  static get timestamp () { return new TimestampSchema() }
+
+  /**
+   * Get a new BytesSchema object.
+   */
+  static get bytes () { return new BytesSchema() }
+
+  /**
+   * Unlike S.map (whose fields are ordinary object fields), fields with this
+   * schema support changing individual keys without reading the map.
+   * @param {BaseSchema} [valueSchema] the schema of the map's values (may
+   *   also be set later with value())
+   * @return A new MapSchema object.
+   */
+  static mapField (valueSchema) {
+    const schema = new MapSchema()
+    return valueSchema ? schema.value(valueSchema) : schema
+  }
+
+  /**
+   * Get a new GeoPointSchema object.
+   */
+  static get geopoint () { return new GeoPointSchema() }
+
+  /**
+   * @param {Model} Cls the Model class whose docs may be referenced
+   * @return A new ReferenceSchema object.
+   */
+  static ref (Cls) {
+    assert.ok(typeof Cls === 'function' && Cls.key,
+      'ref() requires a Model class')
+    return new ReferenceSchema(Cls)
+  }
+}
+
+module.exports = {
+  BytesSchema,
+  GeoPointSchema,
+  MapSchema,
+  ReferenceSchema,
+  S,
+  TimestampSchema,
+  toBuffer,
+  toGeoPoint,
+  toTimestamp
+}
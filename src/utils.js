@@ -1,3 +1,5 @@
+const { Timestamp } = require('@google-cloud/firestore')
+
 const {
   InvalidFieldError,
   InvalidOptionsError,
@@ -32,6 +34,12 @@ const SCHEMA_TYPE_TO_JS_TYPE_MAP = {
   string: String
 }
 
+function validateLastUpdateTime (name, value) {
+  if (!(value instanceof Timestamp)) {
+    throw new InvalidParameterError(name, 'must be a Firestore Timestamp')
+  }
+}
+
 async function sleep (millis) {
   return new Promise((resolve, reject) => {
     setTimeout(resolve, millis)
@@ -71,5 +79,6 @@ module.exports = {
   loadOptionDefaults,
   SCHEMA_TYPE_TO_JS_TYPE_MAP,
   sleep,
+  validateLastUpdateTime,
   validateValue
 }
@@ -16,19 +16,18 @@ db.verifyDoc = async (ModelCls, id, data) => {
   }
 }
 
-db.checkWriteCall = (model) => {
+db.checkWriteCall = async (model) => {
   let ret
-  function logIt (kind, docRef, data) {
+  function logIt (writtenModel, kind, docRef, data) {
+    expect(writtenModel).toBe(model)
     expect(model.__key.docRef.path).toBe(docRef.path)
     ret = { [kind]: data }
   }
-  const fakeDBCtx = {}
-  for (const k of ['create', 'update']) {
-    fakeDBCtx[k] = (docRef, data) => logIt(k, docRef, data)
+  const fakeCtx = {
+    __queueWrite: (writtenModel, kind, [docRef, data]) =>
+      logIt(writtenModel, kind, docRef, data)
   }
-  // __write() will resolve synchronously because we're using fakeDBCtx which
-  // is just sync code
-  model.__write({ __dbCtx: fakeDBCtx })
+  await model.__write(fakeCtx)
   return ret
 }
 
@@ -56,10 +55,18 @@ function fieldFromFieldOptions (Cls, options) {
       schema = S.arr()
     } else if (Cls.name === 'BooleanField') {
       schema = S.bool
+    } else if (Cls.name === 'BytesField') {
+      schema = db.S.bytes
+    } else if (Cls.name === 'GeoPointField') {
+      schema = db.S.geopoint
+    } else if (Cls.name === 'MapField') {
+      schema = db.S.mapField(S.int)
     } else if (Cls.name === 'NumberField') {
       schema = S.double
     } else if (Cls.name === 'ObjectField') {
       schema = S.obj()
+    } else if (Cls.name === 'TimestampField') {
+      schema = db.S.timestamp
     } else {
       assert.ok(Cls.name === 'StringField', 'unexpected class: ' + Cls.name)
       schema = S.str
@@ -77,9 +84,13 @@ function fieldFromFieldOptions (Cls, options) {
     initVal = {
       ArrayField: [],
       BooleanField: false,
+      BytesField: Buffer.alloc(0),
+      GeoPointField: { latitude: 0, longitude: 0 },
+      MapField: {},
       NumberField: 0,
       ObjectField: {},
-      StringField: ''
+      StringField: '',
+      TimestampField: new Date(0)
     }[Cls.name]
   }
   const valIsFromDB = processOption('valIsFromDB')
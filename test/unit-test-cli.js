@@ -0,0 +1,152 @@
+const path = require('path')
+
+const S = require('@pocketgems/schema')
+const { BaseTest, runTests } = require('@pocketgems/unit-test')
+const uuidv4 = require('uuid').v4
+
+const { main } = require('../bin/firestore-orm')
+
+const db = require('./db-with-field-maker')
+
+/**
+ * Returns the path of a (virtual) migration module which exports a model
+ * whose collection has count docs, and migrate (if given).
+ */
+async function makeMigrationModule (count, migrate) {
+  const collectionName = 'CLIExample' + uuidv4().replace(/-/g, '')
+  class CLIExample extends db.Model {
+    static FIELDS = { n: S.int, migrated: S.bool.optional() }
+    static get collectionName () { return collectionName }
+  }
+  const ids = []
+  await db.Context.run(tx => {
+    for (let n = 0; n < count; n++) {
+      const id = uuidv4()
+      ids.push(id)
+      tx.create(CLIExample, { id, n })
+    }
+  })
+  const modulePath = path.resolve(`${collectionName}.js`)
+  jest.doMock(modulePath, () => ({ Model: CLIExample, migrate }),
+    { virtual: true })
+  return { modulePath, Cls: CLIExample, ids }
+}
+
+class CLITest extends BaseTest {
+  async beforeEach () {
+    this.log = jest.spyOn(console, 'log').mockImplementation(() => {})
+    this.error = jest.spyOn(console, 'error').mockImplementation(() => {})
+  }
+
+  async afterEach () {
+    jest.restoreAllMocks()
+  }
+
+  /** Returns everything main() printed to stdout and stderr. */
+  get output () {
+    const lines = mock => mock.mock.calls.map(args => args.join(' '))
+    return { stdout: lines(this.log), stderr: lines(this.error) }
+  }
+
+  async getAll (Cls, ids) {
+    return db.Context.run(tx => tx.get(ids.map(id => Cls.key(id))))
+  }
+
+  async testHelp () {
+    expect(await main(['--help'])).toBe(0)
+    expect(this.output.stdout[0]).toContain('Usage: firestore-orm migrate')
+    expect(this.output.stderr).toEqual([])
+  }
+
+  async testUsageErrors () {
+    for (const argv of [[], ['migrate'], ['other', 'x'], ['migrate', 'a', 'b']]) {
+      this.error.mockClear()
+      expect(await main(argv)).toBe(2)
+      expect(this.output.stderr).toEqual([
+        expect.stringContaining('Usage: firestore-orm migrate')])
+    }
+
+    this.error.mockClear()
+    expect(await main(['migrate', 'x', '--bad'])).toBe(2)
+    expect(this.output.stderr[0]).toContain("Unknown option '--bad'")
+    expect(this.output.stderr[0]).toContain('Usage: firestore-orm migrate')
+    expect(this.output.stdout).toEqual([])
+  }
+
+  async testBadModule () {
+    const { modulePath } = await makeMigrationModule(0)
+    expect(await main(['migrate', modulePath])).toBe(2)
+    expect(this.output.stderr).toEqual([
+      'the module must export Model and migrate()'])
+  }
+
+  async testMigrate () {
+    const { modulePath, Cls, ids } = await makeMigrationModule(3, model => {
+      if (model.n) {
+        model.migrated = true
+      }
+    })
+    expect(await main(['migrate', modulePath, '--batch-size', '2'])).toBe(0)
+    const { stdout } = this.output
+    expect(stdout).toEqual([
+      expect.stringMatching(/^migration ID: /),
+      expect.stringMatching(/^processed 2 docs \(\d changed\) through /),
+      expect.stringMatching(/^processed 3 docs \(2 changed\) through /),
+      'done: 3 docs processed, 2 changed'
+    ])
+    const models = await this.getAll(Cls, ids)
+    expect(models.map(model => model.migrated)).toEqual(
+      [undefined, true, true])
+  }
+
+  async testDryRun () {
+    const { modulePath, Cls, ids } = await makeMigrationModule(2, model => {
+      model.migrated = true
+    })
+    expect(await main(['migrate', modulePath, '--dry-run'])).toBe(0)
+    // a dry run has no ID since it can't be resumed
+    expect(this.output.stdout).toEqual([
+      expect.stringMatching(/^processed 2 docs \(2 changed\) through /),
+      'dry run done: 2 docs processed, 2 would have been changed'
+    ])
+    const models = await this.getAll(Cls, ids)
+    expect(models.map(model => model.migrated)).toEqual(
+      [undefined, undefined])
+  }
+
+  async testResumeFrom () {
+    let numCalls = 0
+    const { modulePath, Cls, ids } = await makeMigrationModule(3, model => {
+      // fail once, after the first batch
+      if (++numCalls === 2) {
+        throw new Error('bad doc')
+      }
+      model.migrated = true
+    })
+    const argv = ['migrate', modulePath, '--batch-size', '1']
+    expect(await main(argv)).toBe(1)
+    const id = this.output.stdout[0].split(': ')[1]
+    expect(this.output.stderr).toEqual([
+      expect.stringContaining('bad doc'),
+      `resume with: --resume-from ${id}`
+    ])
+
+    this.log.mockClear()
+    expect(await main([...argv, '--resume-from', id])).toBe(0)
+    // the ID isn't printed again
+    expect(this.output.stdout.filter(line => line.includes(id))).toEqual([])
+    expect(this.output.stdout.pop()).toBe('done: 3 docs processed, 3 changed')
+    const models = await this.getAll(Cls, ids)
+    expect(models.every(model => model.migrated)).toBe(true)
+  }
+
+  async testFailsBeforeStarting () {
+    const { modulePath } = await makeMigrationModule(1, () => {})
+    expect(await main(['migrate', modulePath, '--batch-size', 'x'])).toBe(1)
+    // there is nothing to resume
+    expect(this.output.stderr).toEqual([
+      expect.stringContaining('must be an integer between 1 and 500')])
+  }
+}
+
+runTests(CLITest)
@@ -689,6 +689,90 @@ class DBReadmeTest extends BaseTest {
     await bothAreJustAsFast(id)
     await checkVal(id, 5)
   }
+
+  async testPartialObjectUpdates () {
+    class UserSettings extends db.Model {
+      static FIELDS = {
+        settings: S.obj().prop('theme', S.str).prop('lang', S.str)
+      }
+    }
+    const id = uuidv4()
+    await db.Context.run(tx => tx.create(UserSettings, {
+      id, settings: { theme: 'light', lang: 'en' }
+    }))
+
+    // only the part of settings which changed is written
+    let update
+    await db.Context.run(async tx => {
+      const model = await tx.get(UserSettings, id)
+      model.settings.theme = 'dark'
+      update = jest.spyOn(tx, '__queueWrite')
+    })
+    expect(update).toHaveBeenCalledWith(expect.anything(), 'update',
+      [expect.anything(), { 'settings.theme': 'dark' }])
+    await db.Context.run(async tx => {
+      const model = await tx.get(UserSettings, id)
+      expect(model.settings).toEqual({ theme: 'dark', lang: 'en' })
+    })
+  }
+
+  async testMapOperations () {
+    class DailyCounter extends db.Model {
+      static FIELDS = { counts: db.S.mapField(S.int) }
+    }
+    const id = uuidv4()
+    await db.Context.run(tx => tx.create(DailyCounter, { id, counts: {} }))
+
+    async function count (day) {
+      await db.Context.run(async tx => {
+        const counter = await tx.get(DailyCounter, id)
+        // the counts are never read, so only this day's count is updated
+        counter.getField('counts').incrementKey(day, 1)
+      })
+    }
+    await count('2024-01-01')
+    await count('2024-01-02')
+    await count('2024-01-02')
+    await db.Context.run(async tx => {
+      const counter = await tx.get(DailyCounter, id)
+      expect(counter.counts).toEqual({ '2024-01-01': 1, '2024-01-02': 2 })
+      counter.getField('counts').deleteKey('2024-01-01')
+    })
+    await db.Context.run(async tx => {
+      const counter = await tx.get(DailyCounter, id)
+      expect(counter.counts).toEqual({ '2024-01-02': 2 })
+    })
+  }
+
+  async testArrayOperations () {
+    class Article extends db.Model {
+      static FIELDS = { tags: S.arr(S.str) }
+    }
+    const id = uuidv4()
+    await db.Context.run(tx => tx.create(Article, { id, tags: ['news'] }))
+
+    for (const tag of ['a', 'b', 'c', 'news']) {
+      await db.Context.run(async tx => {
+        const article = await tx.get(Article, id)
+        // the tags are never read, so this is written as an arrayUnion
+        article.getField('tags').addUnique(tag)
+        expect(article.getField('tags').canUpdateWithArrayOp).toBe(true)
+      })
+    }
+    await db.Context.run(async tx => {
+      const article = await tx.get(Article, id)
+      expect(article.tags.sort()).toEqual(['a', 'b', 'c', 'news'])
+    })
+
+    await db.Context.run(async tx => {
+      const article = await tx.get(Article, id)
+      article.getField('tags').removeAll('news', 'b')
+    })
+    await db.Context.run(async tx => {
+      const article = await tx.get(Article, id)
+      expect(article.tags.sort()).toEqual(['a', 'c'])
+    })
+  }
 }
 
 runTests(DBReadmeTest)
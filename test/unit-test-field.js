@@ -1,5 +1,12 @@
+const {
+  DocumentReference,
+  FieldValue,
+  GeoPoint,
+  Timestamp
+} = require('@google-cloud/firestore')
 const S = require('@pocketgems/schema')
 const { BaseTest, runTests } = require('@pocketgems/unit-test')
+const uuidv4 = require('uuid').v4
 
 const { NotImplementedError } = require('../src/errors')
 const { __FieldInterface } = require('../src/fields')
@@ -561,6 +568,210 @@ class ObjectFieldTest extends RepeatedFieldTest {
     def.a.b = 2
     expect(field.get().a.b).toBe(1)
   }
+
+  testUpdateOnlyChangedPaths () {
+    const field = db.__private.ObjectField({
+      val: {
+        theme: 'light',
+        size: { w: 1, h: 2, extra: { x: 1 } },
+        list: [1],
+        old: true,
+        same: { a: 1 }
+      },
+      valIsFromDB: true
+    })
+    const obj = field.get()
+    obj.theme = 'dark'
+    obj.size.h = 3
+    obj.size.extra = {}
+    obj.list.push(2)
+    delete obj.old
+    obj.added = { b: 2 }
+    expect(field.__valuesForFirestoreUpdate(field.__valueForFirestoreWrite()))
+      .toEqual({
+        'fakeTestField.theme': 'dark',
+        'fakeTestField.size.h': 3,
+        'fakeTestField.size.extra.x': FieldValue.delete(),
+        'fakeTestField.list': [1, 2],
+        'fakeTestField.old': FieldValue.delete(),
+        'fakeTestField.added': { b: 2 }
+      })
+  }
+
+  testUpdateKeysWhichAreNotFieldPaths () {
+    const field = db.__private.ObjectField({
+      val: { a: { 'x.y': 1, z: 1 }, b: 1 },
+      valIsFromDB: true
+    })
+    field.get().a['x.y'] = 2
+    field.get().b = 2
+    // a's changed key can't be part of a field path, so all of a is written
+    expect(field.__valuesForFirestoreUpdate(field.__valueForFirestoreWrite()))
+      .toEqual({
+        'fakeTestField.a': { 'x.y': 2, z: 1 },
+        'fakeTestField.b': 2
+      })
+  }
+
+  testUndefinedKeys () {
+    const field = db.__private.ObjectField({
+      val: { a: 1, b: { c: 1 } },
+      valIsFromDB: true
+    })
+    // undefined keys aren't written, so adding them changes nothing
+    const obj = field.get()
+    obj.x = undefined
+    obj.b.y = undefined
+    expect(field.mutated).toBe(false)
+    expect(field.hasChangesToCommit()).toBe(false)
+
+    obj.b.c = 2
+    expect(field.mutated).toBe(true)
+    expect(field.__valuesForFirestoreUpdate(field.__valueForFirestoreWrite()))
+      .toEqual({ 'fakeTestField.b.c': 2 })
+  }
+
+  testUpdateWholeObject () {
+    let field = db.__private.ObjectField({
+      val: { a: 1 },
+      valIsFromDB: true,
+      optional: true
+    })
+    field.set(undefined)
+    expect(field.__valuesForFirestoreUpdate(field.__valueForFirestoreWrite()))
+      .toEqual({ fakeTestField: FieldValue.delete() })
+
+    field = db.__private.ObjectField({
+      val: undefined,
+      valIsFromDB: true,
+      optional: true
+    })
+    field.set({ a: 1 })
+    expect(field.__valuesForFirestoreUpdate(field.__valueForFirestoreWrite()))
+      .toEqual({ fakeTestField: { a: 1 } })
+  }
+}
+
+class MapFieldTest extends BaseTest {
+  testSchema () {
+    const field = db.__private.MapField({ val: { a: 1 } })
+    field.set({ a: 1, b: 2 })
+    expect(() => field.set({ a: 'x' })).toThrow(S.ValidationError)
+    expect(db.S.mapField().value(S.int).jsonSchema().map).toBe(true)
+
+    class MapExample extends db.Model {
+      static FIELDS = {
+        counts: db.S.mapField(S.int),
+        obj: S.obj(),
+        plainMap: db.S.map.value(S.int)
+      }
+    }
+    const model = new MapExample(true, {
+      id: uuidv4(), counts: {}, obj: {}, plainMap: { a: 1 }
+    })
+    const isMapField = name =>
+      model.getField(name).constructor.name === 'MapField'
+    expect(isMapField('counts')).toBe(true)
+    expect(isMapField('obj')).toBe(false)
+    // S.map is still an ordinary object field
+    expect(isMapField('plainMap')).toBe(false)
+    expect(model.plainMap).toEqual({ a: 1 })
+  }
+
+  testKeyOps () {
+    const field = db.__private.MapField({
+      val: { a: 1, b: 2, c: 3 },
+      valIsFromDB: true
+    })
+    field.incrementKey('a', 2)
+    field.incrementKey('a', 3)
+    field.incrementKey('new', 1)
+    field.setKey('b', 5)
+    field.deleteKey('c')
+    expect(field.__value).toEqual({ a: 6, b: 5, new: 1 })
+    expect(field.canUpdateWithKeyOps).toBe(true)
+    expect(field.accessed).toBe(true)
+    expect(field.mutated).toBe(true)
+    expect(field.__valuesForFirestoreUpdate(field.__valueForFirestoreWrite()))
+      .toEqual({
+        'fakeTestField.a': FieldValue.increment(5),
+        'fakeTestField.new': FieldValue.increment(1),
+        'fakeTestField.b': 5,
+        'fakeTestField.c': FieldValue.delete()
+      })
+  }
+
+  testCombiningKeyOps () {
+    const field = db.__private.MapField({
+      val: { a: 1, b: 2 },
+      valIsFromDB: true
+    })
+    field.setKey('a', 5)
+    field.incrementKey('a', 1)
+    field.deleteKey('b')
+    field.incrementKey('b', 3)
+    field.incrementKey('c', 1)
+    field.deleteKey('c')
+    expect(field.__value).toEqual({ a: 6, b: 3 })
+    expect(field.__valuesForFirestoreUpdate(field.__valueForFirestoreWrite()))
+      .toEqual({
+        'fakeTestField.a': 6,
+        'fakeTestField.b': 3,
+        'fakeTestField.c': FieldValue.delete()
+      })
+  }
+
+  testReadThenKeyOps () {
+    let field = db.__private.MapField({ val: { a: 1 }, valIsFromDB: true })
+    field.get()
+    field.incrementKey('a', 1)
+    expect(field.canUpdateWithKeyOps).toBe(false)
+    // changes are still diffed against the original map
+    expect(field.__valuesForFirestoreUpdate(field.__valueForFirestoreWrite()))
+      .toEqual({ 'fakeTestField.a': 2 })
+
+    // the map returned by get() may be changed in place
+    field = db.__private.MapField({ val: { a: 1 }, valIsFromDB: true })
+    field.incrementKey('a', 1)
+    field.get().b = 1
+    expect(field.canUpdateWithKeyOps).toBe(false)
+    expect(field.__valuesForFirestoreUpdate(field.__valueForFirestoreWrite()))
+      .toEqual({ 'fakeTestField.a': 2, 'fakeTestField.b': 1 })
+  }
+
+  testMixingSetAndKeyOps () {
+    const field = db.__private.MapField({ val: { a: 1 }, valIsFromDB: true })
+    field.incrementKey('a', 1)
+    field.set({ b: 1 })
+    field.incrementKey('b', 1)
+    expect(field.canUpdateWithKeyOps).toBe(false)
+    expect(field.__value).toEqual({ b: 2 })
+  }
+
+  testKeysWhichAreNotFieldPaths () {
+    const field = db.__private.MapField({ val: { a: 1 }, valIsFromDB: true })
+    field.incrementKey('x.y', 1)
+    expect(field.canUpdateWithKeyOps).toBe(false)
+    expect(field.__valuesForFirestoreUpdate(field.__valueForFirestoreWrite()))
+      .toEqual({ fakeTestField: { a: 1, 'x.y': 1 } })
+  }
+
+  testKeyOpsOnUndefined () {
+    const field = db.__private.MapField({ optional: true, val: undefined })
+    field.incrementKey('a', 1)
+    expect(field.__value).toEqual({ a: 1 })
+    // there is no old value to update, so the whole map is written
+    expect(field.canUpdateWithKeyOps).toBe(false)
+  }
+
+  testInvalidKeyOps () {
+    const field = db.__private.MapField({ val: { a: 1 }, valIsFromDB: true })
+    expect(() => field.setKey('a', 'x')).toThrow(S.ValidationError)
+    expect(() => field.incrementKey('a', 0.5)).toThrow(S.ValidationError)
+    expect(() => field.setKey(1, 1)).toThrow('key must be a string')
+    expect(field.__value).toEqual({ a: 1 })
+    expect(field.canUpdateWithKeyOps).toBe(false)
+  }
 }
 
 class BooleanFieldTest extends RepeatedFieldTest {
@@ -596,6 +807,477 @@ class ArrayFieldTest extends RepeatedFieldTest {
   get valueType () {
     return Array
   }
+
+  testAddUnique () {
+    const field = db.__private.ArrayField({
+      val: ['a', { b: 1 }],
+      valIsFromDB: true
+    })
+    field.addUnique('a', 'c', { b: 1 }, 'c')
+    field.addUnique('d')
+    expect(field.__value).toEqual(['a', { b: 1 }, 'c', 'd'])
+    expect(field.canUpdateWithArrayOp).toBe(true)
+    expect(field.accessed).toBe(true)
+    expect(field.mutated).toBe(true)
+    expect(field.__valueForFirestoreWrite()).toEqual(
+      FieldValue.arrayUnion('a', 'c', { b: 1 }, 'c', 'd'))
+  }
+
+  testRemoveAll () {
+    const field = db.__private.ArrayField({
+      val: ['a', 'b', 'a', { c: 1 }],
+      valIsFromDB: true
+    })
+    field.removeAll('a', { c: 1 })
+    field.removeAll('x')
+    expect(field.__value).toEqual(['b'])
+    expect(field.canUpdateWithArrayOp).toBe(true)
+    expect(field.__valueForFirestoreWrite()).toEqual(
+      FieldValue.arrayRemove('a', { c: 1 }, 'x'))
+  }
+
+  testArrayOpOnUndefined () {
+    let field = db.__private.ArrayField({ optional: true, val: undefined })
+    field.addUnique('a', 'a')
+    expect(field.__value).toEqual(['a'])
+    // there is no old value to update, so the whole array is written
+    expect(field.canUpdateWithArrayOp).toBe(false)
+    expect(field.__valueForFirestoreWrite()).toEqual(['a'])
+
+    field = db.__private.ArrayField({ optional: true, val: undefined })
+    field.removeAll('a')
+    expect(field.__value).toEqual([])
+  }
+
+  testMixingArrayOps () {
+    const field = db.__private.ArrayField({ val: ['a'], valIsFromDB: true })
+    field.addUnique('b')
+    // Firestore can't apply both operations to a field in one write
+    field.removeAll('a')
+    expect(field.canUpdateWithArrayOp).toBe(false)
+    expect(field.__valueForFirestoreWrite()).toEqual(['b'])
+    field.addUnique('c')
+    expect(field.canUpdateWithArrayOp).toBe(false)
+    expect(field.__valueForFirestoreWrite()).toEqual(['b', 'c'])
+  }
+
+  testMixingSetAndArrayOps () {
+    let field = db.__private.ArrayField({ val: ['a'], valIsFromDB: true })
+    field.addUnique('b')
+    field.set(['c'])
+    expect(field.canUpdateWithArrayOp).toBe(false)
+    expect(field.__valueForFirestoreWrite()).toEqual(['c'])
+
+    field = db.__private.ArrayField({ val: ['a'], valIsFromDB: true })
+    field.set(['c'])
+    field.addUnique('b')
+    expect(field.canUpdateWithArrayOp).toBe(false)
+    expect(field.__valueForFirestoreWrite()).toEqual(['c', 'b'])
+  }
+
+  testReadThenArrayOp () {
+    let field = db.__private.ArrayField({ val: ['a'], valIsFromDB: true })
+    field.get()
+    field.addUnique('b')
+    expect(field.canUpdateWithArrayOp).toBe(false)
+    expect(field.__valueForFirestoreWrite()).toEqual(['a', 'b'])
+
+    // the array returned by get() may be changed in place
+    field = db.__private.ArrayField({ val: ['a'], valIsFromDB: true })
+    field.addUnique('b')
+    field.get().push('c')
+    expect(field.canUpdateWithArrayOp).toBe(false)
+    expect(field.__valueForFirestoreWrite()).toEqual(['a', 'b', 'c'])
+  }
+
+  testInvalidArrayOp () {
+    const field = db.__private.ArrayField({
+      schema: S.arr(S.str).max(2),
+      val: ['a'],
+      valIsFromDB: true
+    })
+    expect(() => field.addUnique('b', 'c')).toThrow(S.ValidationError)
+    expect(() => field.addUnique(1)).toThrow(S.ValidationError)
+    expect(field.__value).toEqual(['a'])
+    expect(field.canUpdateWithArrayOp).toBe(false)
+  }
+
+  testArrayOpImmutable () {
+    const field = db.__private.ArrayField({ immutable: true, val: ['a'] })
+    expect(() => field.addUnique('b')).toThrow(db.InvalidFieldError)
+  }
+}
+
+class TimestampFieldTest extends BaseTest {
+  testConvertsDates () {
+    const date = new Date('2023-01-02T03:04:05.678Z')
+    const field = db.__private.TimestampField({ val: date })
+    expect(field.get()).toBeInstanceOf(Timestamp)
+    expect(field.get().toDate()).toEqual(date)
+    const ts = Timestamp.fromMillis(1234)
+    field.set(ts)
+    expect(field.get()).toBe(ts)
+    field.set(date)
+    expect(field.get().toMillis()).toBe(date.getTime())
+  }
+
+  testInvalidValueType () {
+    const field = db.__private.TimestampField()
+    for (const val of ['2023-01-02', 1234, {}, [], true, null]) {
+      expect(() => field.set(val)).toThrow(S.ValidationError)
+    }
+  }
+
+  testRange () {
+    const schema = db.S.timestamp
+      .min(new Date('2020-01-01T00:00:00Z'))
+      .max(Timestamp.fromDate(new Date('2030-01-01T00:00:00Z')))
+    const field = db.__private.TimestampField({
+      schema,
+      val: new Date('2020-01-01T00:00:00Z')
+    })
+    field.set(new Date('2030-01-01T00:00:00Z'))
+    expect(() => field.set(new Date('2019-12-31T23:59:59Z')))
+      .toThrow(S.ValidationError)
+    expect(() => field.set(new Date('2030-01-01T00:00:01Z')))
+      .toThrow(S.ValidationError)
+    expect(() => db.S.timestamp.min('2020-01-01'))
+      .toThrow('min must be a Date or Timestamp')
+  }
+
+  testDefaultValue () {
+    const date = new Date('2023-01-02T03:04:05.678Z')
+    const field = db.__private.TimestampField({ default: date })
+    expect(field.get()).toBeInstanceOf(Timestamp)
+    expect(field.get().toDate()).toEqual(date)
+  }
+
+  testMutatedFlag () {
+    const ts = Timestamp.fromMillis(1234)
+    const field = db.__private.TimestampField({
+      val: ts,
+      valIsFromDB: true,
+      optional: true
+    })
+    expect(field.mutated).toBe(false)
+    field.set(new Date(1234))
+    expect(field.mutated).toBe(false)
+    field.set(new Date(1235))
+    expect(field.mutated).toBe(true)
+    field.set(undefined)
+    expect(field.mutated).toBe(true)
+  }
+
+  testServerTimestamp () {
+    const field = db.__private.TimestampField({
+      val: new Date(0),
+      valIsFromDB: true
+    })
+    const before = Timestamp.now()
+    field.setToServerTimestamp()
+    // the local value is an estimate until the doc is written
+    expect(field.get() >= before).toBe(true)
+    expect(field.mutated).toBe(true)
+    expect(field.__valueForFirestoreWrite())
+      .toEqual(FieldValue.serverTimestamp())
+
+    field.set(new Date(0))
+    expect(field.mutated).toBe(false)
+    expect(field.__valueForFirestoreWrite().toMillis()).toBe(0)
+  }
+
+  testNotAKey () {
+    expect(() => db.__private.__Field.__validateFieldOptions(
+      'FakeModelName', true, 'when', db.S.timestamp))
+      .toThrow('timestamp fields cannot be key components')
+  }
+
+  async testRoundTrip () {
+    class TimestampExample extends db.Model {
+      static FIELDS = {
+        at: db.S.timestamp,
+        savedAt: db.S.timestamp.optional()
+      }
+    }
+    const id = uuidv4()
+    const at = new Date('2023-01-02T03:04:05.678Z')
+    await db.Context.run(async tx => {
+      const model = tx.create(TimestampExample, { id, at })
+      model.getField('savedAt').setToServerTimestamp()
+    })
+    const model = await db.Context.run(async tx => {
+      return tx.get(TimestampExample, id)
+    })
+    expect(model.at).toBeInstanceOf(Timestamp)
+    expect(model.at.toDate()).toEqual(at)
+    expect(model.savedAt.isEqual(model.createTime)).toBe(true)
+  }
+}
+
+class BytesFieldTest extends BaseTest {
+  testConvertsUint8Arrays () {
+    const field = db.__private.BytesField({ val: new Uint8Array([1, 2, 3]) })
+    expect(Buffer.isBuffer(field.get())).toBe(true)
+    expect([...field.get()]).toEqual([1, 2, 3])
+    field.set(new Uint8Array([4]))
+    expect(Buffer.isBuffer(field.get())).toBe(true)
+    const buf = Buffer.from('abc')
+    field.set(buf)
+    expect(field.get()).toBe(buf)
+  }
+
+  testInvalidValueType () {
+    const field = db.__private.BytesField()
+    for (const val of ['abc', [1, 2], 1, {}, new ArrayBuffer(1), null]) {
+      expect(() => field.set(val)).toThrow(S.ValidationError)
+    }
+  }
+
+  testMaxLength () {
+    const field = db.__private.BytesField({
+      schema: db.S.bytes.maxLength(3)
+    })
+    field.set(Buffer.alloc(3))
+    expect(() => field.set(Buffer.alloc(4))).toThrow(S.ValidationError)
+    expect(() => field.set(new Uint8Array(4))).toThrow(S.ValidationError)
+    expect(() => db.S.bytes.maxLength(-1))
+      .toThrow('maxLength must be a non-negative integer')
+  }
+
+  testMutatedFlag () {
+    const field = db.__private.BytesField({
+      val: Buffer.from([1, 2]),
+      valIsFromDB: true,
+      optional: true
+    })
+    expect(field.mutated).toBe(false)
+    field.set(Buffer.from([1, 2]))
+    expect(field.mutated).toBe(false)
+    field.set(Buffer.from([1, 3]))
+    expect(field.mutated).toBe(true)
+    field.set(undefined)
+    expect(field.mutated).toBe(true)
+  }
+
+  testMutatedInPlace () {
+    const field = db.__private.BytesField({
+      val: Buffer.from([1, 2]),
+      valIsFromDB: true
+    })
+    field.get()[0] = 9
+    expect(field.mutated).toBe(true)
+    field.get()[0] = 1
+    expect(field.mutated).toBe(false)
+  }
+
+  testNotAKey () {
+    expect(() => db.__private.__Field.__validateFieldOptions(
+      'FakeModelName', true, 'data', db.S.bytes))
+      .toThrow('bytes fields cannot be key components')
+  }
+
+  async testRoundTrip () {
+    class BytesExample extends db.Model {
+      static FIELDS = { data: db.S.bytes.maxLength(16) }
+    }
+    const id = uuidv4()
+    await db.Context.run(async tx => {
+      tx.create(BytesExample, { id, data: new Uint8Array([1, 2, 3]) })
+    })
+    await db.Context.run(async tx => {
+      const model = await tx.get(BytesExample, id)
+      expect(Buffer.isBuffer(model.data)).toBe(true)
+      expect([...model.data]).toEqual([1, 2, 3])
+      model.data[0] = 0
+    })
+    const model = await db.Context.run(tx => tx.get(BytesExample, id))
+    expect([...model.data]).toEqual([0, 2, 3])
+  }
+}
+
+class GeoPointFieldTest extends BaseTest {
+  testConvertsObjects () {
+    const field = db.__private.GeoPointField({
+      val: { latitude: 1, longitude: 2 }
+    })
+    expect(field.get()).toBeInstanceOf(GeoPoint)
+    expect(field.get().isEqual(new GeoPoint(1, 2))).toBe(true)
+    field.set({ latitude: -90, longitude: 180 })
+    expect(field.get().isEqual(new GeoPoint(-90, 180))).toBe(true)
+  }
+
+  testInvalidValueType () {
+    const field = db.__private.GeoPointField()
+    const badValues = [
+      { latitude: 91, longitude: 0 },
+      { latitude: 0, longitude: -181 },
+      { latitude: 'x', longitude: 0 },
+      { latitude: 0 },
+      [1, 2],
+      'x',
+      null
+    ]
+    for (const val of badValues) {
+      expect(() => field.set(val)).toThrow(S.ValidationError)
+    }
+  }
+
+  testMutatedFlag () {
+    const field = db.__private.GeoPointField({
+      val: new GeoPoint(1, 2),
+      valIsFromDB: true,
+      optional: true
+    })
+    field.set({ latitude: 1, longitude: 2 })
+    expect(field.mutated).toBe(false)
+    field.set(new GeoPoint(1, 3))
+    expect(field.mutated).toBe(true)
+    field.set(undefined)
+    expect(field.mutated).toBe(true)
+  }
+
+  testGeohash () {
+    const field = db.__private.GeoPointField({
+      schema: db.S.geopoint.withGeohash().optional(),
+      val: new GeoPoint(57.64911, 10.40744),
+      valIsFromDB: true
+    })
+    const val = field.__valueForFirestoreWrite()
+    expect(field.__companionValuesForFirestoreWrite(val))
+      .toEqual({ fakeTestFieldGeohash: 'u4pruydqqv' })
+    field.set(undefined)
+    const deleted = field.__valueForFirestoreWrite()
+    expect(field.__companionValuesForFirestoreWrite(deleted))
+      .toEqual({ fakeTestFieldGeohash: FieldValue.delete() })
+    expect(field.__companionValuesForFirestoreWrite(undefined)).toEqual({})
+
+    // no geohash unless requested
+    const plainField = db.__private.GeoPointField()
+    expect(plainField.__companionValuesForFirestoreWrite(new GeoPoint(1, 2)))
+      .toEqual({})
+  }
+
+  testReservedGeohashName () {
+    class GeohashCollisionExample extends db.Model {
+      static FIELDS = {
+        loc: db.S.geopoint.withGeohash(),
+        locGeohash: S.str
+      }
+    }
+    expect(() => GeohashCollisionExample.__doOneTimeModelPrep())
+      .toThrow('locGeohash is reserved for the geohash of loc')
+  }
+
+  async testRoundTrip () {
+    class GeoPointExample extends db.Model {
+      static FIELDS = { loc: db.S.geopoint.withGeohash() }
+    }
+    const id = uuidv4()
+    await db.Context.run(async tx => {
+      tx.create(GeoPointExample, { id, loc: { latitude: 1, longitude: 2 } })
+    })
+    await db.Context.run(async tx => {
+      // the geohash is stored in the doc but is not part of the model
+      const model = await tx.get(GeoPointExample, id)
+      expect(model.loc.isEqual(new GeoPoint(1, 2))).toBe(true)
+      model.loc = new GeoPoint(57.64911, 10.40744)
+    })
+    const doc = await GeoPointExample.key(id).docRef.get()
+    expect(doc.get('locGeohash')).toBe('u4pruydqqv')
+  }
+}
+
+class RefTargetExample extends db.Model {}
+
+class RefOwnerExample extends db.Model {
+  static FIELDS = { target: db.S.ref(RefTargetExample) }
+}
+
+class ReferenceFieldTest extends BaseTest {
+  makeField (opts) {
+    return db.__private.ReferenceField({
+      schema: db.S.ref(RefTargetExample),
+      ...opts
+    })
+  }
+
+  testBadSchema () {
+    expect(() => db.S.ref({})).toThrow('ref() requires a Model class')
+    expect(() => db.__private.__Field.__validateFieldOptions(
+      'FakeModelName', true, 'ref', db.S.ref(RefTargetExample)))
+      .toThrow('reference fields cannot be key components')
+  }
+
+  testInvalidValueType () {
+    const field = this.makeField({ val: RefTargetExample.key(uuidv4()) })
+    const key = RefTargetExample.key(uuidv4())
+    field.set(key)
+    expect(field.get()).toBe(key)
+    const badValues = [
+      RefOwnerExample.key(uuidv4()),
+      key.docRef,
+      key.encodedKey,
+      {}
+    ]
+    for (const val of badValues) {
+      expect(() => field.set(val)).toThrow(S.ValidationError)
+    }
+  }
+
+  testValueFromDB () {
+    const key = RefTargetExample.key(uuidv4())
+    const field = this.makeField({ val: key.docRef, valIsFromDB: true })
+    expect(field.get().Cls).toBe(RefTargetExample)
+    expect(field.get().keyComponents).toEqual(key.keyComponents)
+    expect(field.mutated).toBe(false)
+
+    // a reference to a doc of some other model is invalid
+    expect(() => this.makeField({
+      val: RefOwnerExample.key(uuidv4()).docRef,
+      valIsFromDB: true
+    })).toThrow(S.ValidationError)
+  }
+
+  testMutatedFlag () {
+    const key = RefTargetExample.key(uuidv4())
+    const field = this.makeField({
+      val: key.docRef,
+      valIsFromDB: true,
+      optional: true
+    })
+    field.set(RefTargetExample.key(key.keyComponents))
+    expect(field.mutated).toBe(false)
+    field.set(RefTargetExample.key(uuidv4()))
+    expect(field.mutated).toBe(true)
+    field.set(undefined)
+    expect(field.mutated).toBe(true)
+    expect(field.__valueForFirestoreWrite()).toEqual(FieldValue.delete())
+  }
+
+  testValueForFirestoreWrite () {
+    const key = RefTargetExample.key(uuidv4())
+    const field = this.makeField({ val: key })
+    const docRef = field.__valueForFirestoreWrite()
+    expect(docRef).toBeInstanceOf(DocumentReference)
+    expect(docRef.path).toBe(key.docRef.path)
+  }
+
+  async testRoundTrip () {
+    const [ownerID, targetID] = [uuidv4(), uuidv4()]
+    await db.Context.run(async tx => {
+      tx.create(RefTargetExample, { id: targetID })
+      tx.create(RefOwnerExample, {
+        id: ownerID,
+        target: RefTargetExample.key(targetID)
+      })
+    })
+    await db.Context.run(async tx => {
+      const owner = await tx.get(RefOwnerExample, ownerID)
+      const target = await tx.get(owner.target)
+      expect(target).toBeInstanceOf(RefTargetExample)
+      expect(target.id).toBe(targetID)
+    })
+  }
 }
 
 class AbstractFieldTest extends BaseTest {
@@ -625,9 +1307,14 @@ runTests(
   // Type specific
   ArrayFieldTest,
   BooleanFieldTest,
+  BytesFieldTest,
+  GeoPointFieldTest,
+  MapFieldTest,
   NumberFieldTest,
   ObjectFieldTest,
+  ReferenceFieldTest,
   StringFieldTest,
+  TimestampFieldTest,
 
   // Other
   FieldSchemaTest,
@@ -0,0 +1,64 @@
+const { BaseTest, runTests } = require('@pocketgems/unit-test')
+
+const {
+  distanceBetween,
+  encodeGeohash,
+  geohashQueryBounds
+} = require('../src/geo')
+
+const LONDON = { latitude: 51.5007, longitude: 0.1246 }
+const NEW_YORK = { latitude: 40.6892, longitude: 74.0445 }
+
+class GeoTest extends BaseTest {
+  testDistanceBetween () {
+    expect(distanceBetween(LONDON, LONDON)).toBe(0)
+    const distance = distanceBetween(LONDON, NEW_YORK)
+    expect(Math.round(distance / 1000)).toBe(5575)
+    expect(distanceBetween(NEW_YORK, LONDON)).toBeCloseTo(distance)
+  }
+
+  testEncodeGeohash () {
+    const point = { latitude: 57.64911, longitude: 10.40744 }
+    expect(encodeGeohash(point)).toBe('u4pruydqqv')
+    expect(encodeGeohash(point, 5)).toBe('u4pru')
+  }
+
+  testQueryBoundsCoverRadius () {
+    const center = { latitude: 37.7749, longitude: -122.4194 }
+    const radius = 1000
+    const bounds = geohashQueryBounds(center, radius)
+    expect(bounds.length).toBe(9)
+    const isCovered = point => {
+      const geohash = encodeGeohash(point)
+      return bounds.some(([start, end]) => geohash >= start && geohash <= end)
+    }
+    // points just inside the radius in each direction
+    const latDelta = 0.99 * radius / 111195
+    const lngDelta = latDelta / Math.cos(center.latitude * Math.PI / 180)
+    for (const [dLat, dLng] of [[1, 0], [-1, 0], [0, 1], [0, -1]]) {
+      const point = {
+        latitude: center.latitude + dLat * latDelta,
+        longitude: center.longitude + dLng * lngDelta
+      }
+      expect(distanceBetween(center, point)).toBeLessThan(radius)
+      expect(isCovered(point)).toBe(true)
+    }
+  }
+
+  testQueryBoundsEdgeCases () {
+    // neighbors wrap around the antimeridian
+    const bounds = geohashQueryBounds({ latitude: 0, longitude: 180 }, 50000)
+    const prefixes = bounds.map(([start]) => start[0])
+    expect(prefixes).toContain('2') // western hemisphere
+    expect(prefixes).toContain('x') // eastern hemisphere
+
+    // neighbors past the pole are skipped
+    expect(geohashQueryBounds({ latitude: 89.9, longitude: 0 }, 1000).length)
+      .toBe(6)
+
+    // a huge radius searches everything
+    expect(geohashQueryBounds(LONDON, 1e7)).toEqual([['', '~']])
+  }
+}
+
+runTests(GeoTest)
@@ -0,0 +1,293 @@
+const S = require('@pocketgems/schema')
+const { BaseTest, runTests } = require('@pocketgems/unit-test')
+const uuidv4 = require('uuid').v4
+
+const { MigrationCheckpoint } = require('../src/migration')
+
+const db = require('./db-with-field-maker')
+
+/**
+ * Returns a model whose collection is empty (so each test knows exactly
+ * which docs a migration will see).
+ */
+function makeModel () {
+  const collectionName = 'MigrationExample' + uuidv4().replace(/-/g, '')
+  class MigrationExample extends db.Model {
+    static FIELDS = { n: S.int, migrated: S.bool.optional() }
+    static get collectionName () { return collectionName }
+  }
+  return MigrationExample
+}
+
+async function createDocs (Cls, count) {
+  const ids = []
+  await db.Context.run(tx => {
+    for (let n = 0; n < count; n++) {
+      const id = uuidv4()
+      ids.push(id)
+      tx.create(Cls, { id, n })
+    }
+  })
+  return ids
+}
+
+async function getAll (Cls, ids) {
+  return db.Context.run(tx => tx.get(ids.map(id => Cls.key(id))))
+}
+
+class MigrationTest extends BaseTest {
+  async testBadParams () {
+    const Cls = makeModel()
+    await expect(db.runMigration({}, () => {}))
+      .rejects.toThrow('must be a Model class')
+    await expect(db.runMigration(Cls, 'x'))
+      .rejects.toThrow('must be a function')
+    for (const batchSize of [0, 501, 1.5]) {
+      await expect(db.runMigration(Cls, () => {}, { batchSize }))
+        .rejects.toThrow('must be an integer between 1 and 500')
+    }
+    await expect(db.runMigration(Cls, () => {}, { batchSize: '1' }))
+      .rejects.toThrow('Expected number')
+    await expect(db.runMigration(Cls, () => {}, { bad: 1 }))
+      .rejects.toThrow(db.InvalidOptionsError)
+    await expect(db.runMigration(Cls, () => {}, { resumeFrom: uuidv4() }))
+      .rejects.toThrow(`no migration of ${Cls.collectionName} has this ID`)
+  }
+
+  async testMigrateEveryDoc () {
+    const Cls = makeModel()
+    const ids = await createDocs(Cls, 7)
+    const progressUpdates = []
+    const progress = await db.runMigration(Cls, model => {
+      if (model.n % 2) {
+        model.migrated = true
+      }
+    }, {
+      batchSize: 3,
+      onProgress: progress => progressUpdates.push(progress)
+    })
+    expect(progress).toEqual({
+      id: expect.any(String),
+      numDocs: 7,
+      numChanged: 3,
+      lastPath: expect.any(String),
+      done: true
+    })
+    expect(progressUpdates.map(p => p.numDocs)).toEqual([3, 6, 7])
+
+    const models = await getAll(Cls, ids)
+    for (const model of models) {
+      expect(model.migrated).toBe(model.n % 2 ? true : undefined)
+    }
+
+    // progress is saved
+    const checkpoint = await db.Context.run(
+      tx => tx.get(MigrationCheckpoint, progress.id))
+    expect(checkpoint.toJSON()).toEqual({
+      ...progress,
+      collection: Cls.collectionName
+    })
+
+    // resuming a finished migration does nothing
+    const fn = jest.fn()
+    expect(await db.runMigration(Cls, fn, { resumeFrom: progress.id }))
+      .toEqual(progress)
+    expect(fn).not.toHaveBeenCalled()
+  }
+
+  async testEmptyCollection () {
+    const Cls = makeModel()
+    const progress = await db.runMigration(Cls, () => {})
+    expect(progress.numDocs).toBe(0)
+    expect(progress.done).toBe(true)
+  }
+
+  async testDryRun () {
+    const Cls = makeModel()
+    const ids = await createDocs(Cls, 3)
+    const progress = await db.runMigration(Cls, model => {
+      model.migrated = true
+    }, { batchSize: 2, dryRun: true })
+    expect(progress.numDocs).toBe(3)
+    expect(progress.numChanged).toBe(3)
+
+    // nothing was saved
+    const models = await getAll(Cls, ids)
+    expect(models.map(model => model.migrated)).toEqual([
+      undefined, undefined, undefined])
+    const checkpoint = await db.Context.run(
+      tx => tx.get(MigrationCheckpoint, progress.id))
+    expect(checkpoint).toBeUndefined()
+  }
+
+  async testResume () {
+    const Cls = makeModel()
+    const ids = await createDocs(Cls, 5)
+    const fn = jest.fn(model => { model.n += 10 })
+    let id
+    // simulate a crash after the first batch
+    await expect(db.runMigration(Cls, fn, {
+      batchSize: 2,
+      onProgress: progress => {
+        id = progress.id
+        throw new Error('crash')
+      }
+    })).rejects.toThrow('crash')
+    expect(fn).toHaveBeenCalledTimes(2)
+
+    const progress = await db.runMigration(Cls, fn, {
+      batchSize: 2,
+      resumeFrom: id
+    })
+    expect(progress.id).toBe(id)
+    expect(progress.numDocs).toBe(5)
+    expect(progress.numChanged).toBe(5)
+    // each doc was migrated exactly once
+    expect(fn).toHaveBeenCalledTimes(5)
+    const models = await getAll(Cls, ids)
+    expect(models.map(model => model.n).sort()).toEqual([10, 11, 12, 13, 14])
+  }
+
+  async testResumedTwice () {
+    const Cls = makeModel()
+    await createDocs(Cls, 5)
+    let id
+    await expect(db.runMigration(Cls, () => {}, {
+      batchSize: 2,
+      onProgress: progress => {
+        id = progress.id
+        throw new Error('crash')
+      }
+    })).rejects.toThrow('crash')
+
+    // simulate another run (resumed from the same checkpoint) finishing a
+    // batch before this one
+    const fut = db.runMigration(Cls, () => {}, {
+      batchSize: 2,
+      resumeFrom: id,
+      onProgress: async () => {
+        await db.Context.run(async tx => {
+          const checkpoint = await tx.get(MigrationCheckpoint, id)
+          checkpoint.lastPath += 'x'
+        })
+      }
+    })
+    await expect(fut).rejects.toThrow(db.PreconditionFailedError)
+    await expect(fut).rejects.toThrow(`migration ${id} was resumed more than once`)
+  }
+
+  async testRetryAfterCommit () {
+    const Cls = makeModel()
+    const ids = await createDocs(Cls, 3)
+    const fn = jest.fn(model => { model.n += 10 })
+    // retry the first batch after it committed, as if its commit's response
+    // was lost
+    const run = db.Context.run.bind(db.Context)
+    jest.spyOn(db.Context, 'run').mockImplementationOnce(async func => {
+      await run(func)
+      return run(func)
+    })
+    const progress = await db.runMigration(Cls, fn, { batchSize: 2 })
+    db.Context.run.mockRestore()
+    expect(progress.numDocs).toBe(3)
+    expect(progress.numChanged).toBe(3)
+    // each doc was migrated exactly once
+    expect(fn).toHaveBeenCalledTimes(3)
+    const models = await getAll(Cls, ids)
+    expect(models.map(model => model.n).sort()).toEqual([10, 11, 12])
+  }
+
+  async testMigrationError () {
+    const Cls = makeModel()
+    await createDocs(Cls, 1)
+    await expect(db.runMigration(Cls, () => {
+      throw new Error('bad migration')
+    })).rejects.toThrow('bad migration')
+  }
+
+  async testSkipsOtherModels () {
+    const Cls = makeModel()
+    const ids = await createDocs(Cls, 2)
+    // a nested model's docs are in the same collection group
+    class MigrationParentExample extends db.Model {}
+    class NestedMigrationExample extends db.Model {
+      static PARENT = MigrationParentExample
+      static KEY = { nestedID: S.SCHEMAS.UUID }
+      static get collectionName () { return Cls.collectionName }
+    }
+    await db.Context.run(tx => tx.create(NestedMigrationExample, {
+      id: uuidv4(), nestedID: uuidv4()
+    }))
+    const fn = jest.fn()
+    const progress = await db.runMigration(Cls, fn)
+    expect(progress.numDocs).toBe(2)
+    expect(fn).toHaveBeenCalledTimes(2)
+    expect(fn.mock.calls.map(([model]) => model.id).sort())
+      .toEqual(ids.sort())
+  }
+
+  async testSkipsDeletedDocs () {
+    const Cls = makeModel()
+    const ids = await createDocs(Cls, 2)
+    // delete a doc after its key was read but before its batch starts
+    const run = db.Context.run.bind(db.Context)
+    jest.spyOn(db.Context, 'run').mockImplementationOnce(async func => {
+      await run(tx => tx.delete(Cls.key(ids[0])))
+      return run(func)
+    })
+    const fn = jest.fn()
+    const progress = await db.runMigration(Cls, fn)
+    expect(progress.numDocs).toBe(2)
+    expect(fn).toHaveBeenCalledTimes(1)
+    expect(fn.mock.calls[0][0].id).toBe(ids[1])
+    db.Context.run.mockRestore()
+  }
+
+  async testPolymorphicModel () {
+    const Cls = makeModel()
+    class MigrationBaseExample extends db.Model {
+      static DISCRIMINATOR = 'kind'
+      static FIELDS = { n: S.int }
+      static get collectionName () { return Cls.collectionName }
+    }
+    class MigrationSubExample extends MigrationBaseExample {}
+    MigrationBaseExample.registerSubclass(MigrationSubExample)
+    await createDocs(MigrationBaseExample, 1)
+    const ids = await createDocs(MigrationSubExample, 2)
+
+    // only the subclass's docs are migrated
+    const fn = jest.fn()
+    const progress = await db.runMigration(MigrationSubExample, fn)
+    expect(progress.numDocs).toBe(2)
+    expect(fn.mock.calls.map(([model]) => model.id).sort())
+      .toEqual(ids.sort())
+
+    // the base model's migration includes its subclasses' docs
+    fn.mockClear()
+    await db.runMigration(MigrationBaseExample, fn)
+    expect(fn).toHaveBeenCalledTimes(3)
+    expect(fn.mock.calls.filter(
+      ([model]) => model instanceof MigrationSubExample).length).toBe(2)
+  }
+
+  async testUpgradesSchemaVersion () {
+    const OldCls = makeModel()
+    const ids = await createDocs(OldCls, 2)
+    class NewExample extends db.Model {
+      static FIELDS = { n: S.int, doubled: S.int }
+      static SCHEMA_VERSION = 2
+      static MIGRATIONS = { 2: data => ({ ...data, doubled: data.n * 2 }) }
+      static get collectionName () { return OldCls.collectionName }
+    }
+    // migrated docs are rewritten even if fn doesn't change them
+    const progress = await db.runMigration(NewExample, () => {})
+    expect(progress.numChanged).toBe(2)
+    for (const id of ids) {
+      const doc = await NewExample.key(id).docRef.get()
+      expect(doc.get('_schemaVersion')).toBe(2)
+      expect(doc.get('doubled')).toBe(doc.get('n') * 2)
+    }
+  }
+}
+
+runTests(MigrationTest)
@@ -415,7 +415,7 @@ class WriteTest extends BaseTest {
   async testNoIDInUpdateCondition () {
     const m1 = await txGet(BasicExample, this.modelName)
     m1.noRequiredNoDefault = 1
-    expect(db.checkWriteCall(m1)).toEqual({ update: { noRequiredNoDefault: 1 } })
+    expect(await db.checkWriteCall(m1)).toEqual({ update: { noRequiredNoDefault: 1 } })
   }
 
   async testWriteSetToUndefinedProp () {
@@ -453,7 +453,7 @@ class WriteTest extends BaseTest {
   async testPutNoLock () {
     const model = await txGet(BasicExample, this.modelName)
     model.getField('noRequiredNoDefault').incrementBy(1)
-    expect(db.checkWriteCall(model)).toEqual(
+    expect(await db.checkWriteCall(model)).toEqual(
       { update: { noRequiredNoDefault: FieldValue.increment(1) } })
   }
 
@@ -491,7 +491,7 @@ class ConditionCheckTest extends BaseTest {
   async testConditionCheckMutatedModel () {
     const m1 = await txGet(BasicExample, this.modelName)
     m1.noRequiredNoDefault = 1 + (m1.noRequiredNoDefault ?? 0)
-    expect(db.checkWriteCall(m1)).toEqual({
+    expect(await db.checkWriteCall(m1)).toEqual({
       update: { noRequiredNoDefault: 1 }
     })
   }
@@ -1093,17 +1093,698 @@ class UniqueKeyListTest extends BaseTest {
   }
 }
 
+class Post extends db.Model {
+  static FIELDS = { title: S.str.optional() }
+}
+
+class Comment extends db.Model {
+  static PARENT = Post
+  static KEY = { commentID: S.str }
+  static FIELDS = { text: S.str }
+}
+
+class Reaction extends db.Model {
+  static PARENT = Comment
+  static KEY = { emoji: S.str, user: S.str }
+}
+
+class NestedModelTest extends BaseTest {
+  testBadParent () {
+    class BadParentExample extends db.Model {
+      static PARENT = {}
+      static KEY = { x: S.str }
+    }
+    expect(() => BadParentExample.__doOneTimeModelPrep())
+      .toThrow('PARENT must be a Model class')
+
+    class OverlappingKeyExample extends db.Model {
+      static PARENT = Post
+    }
+    expect(() => OverlappingKeyExample.__doOneTimeModelPrep())
+      .toThrow(/more than once/)
+  }
+
+  testKey () {
+    const id = uuidv4()
+    const key = Comment.key({ id, commentID: 'c1' })
+    expect(key.encodedKey).toBe('c1')
+    expect(key.keyComponents).toEqual({ id, commentID: 'c1' })
+    expect(key.parentKey.Cls).toBe(Post)
+    expect(key.parentKey.encodedKey).toBe(id)
+    expect(key.docRef.path).toBe(`Post/${id}/Comment/c1`)
+    expect(Post.key(id).parentKey).toBe(undefined)
+
+    const reactionKey = Reaction.key({
+      id, commentID: 'c1', emoji: ':)', user: 'bo'
+    })
+    expect(reactionKey.docRef.path)
+      .toBe(`Post/${id}/Comment/c1/Reaction/:)\0bo`)
+    expect(Reaction.__keyFromDocRef(reactionKey.docRef)).toEqual(reactionKey)
+    expect(Reaction.__keyFromDocRef(key.docRef)).toBe(undefined)
+    expect(Comment.__keyFromDocRef(reactionKey.docRef)).toBe(undefined)
+  }
+
+  testMissingParentKey () {
+    expect(() => Comment.key('c1')).toThrow('id must be provided')
+    expect(() => Comment.key({ commentID: 'c1', id: 'not a uuid' }))
+      .toThrow(S.ValidationError)
+  }
+
+  testUniqueKeyList () {
+    const [id1, id2] = [uuidv4(), uuidv4()]
+    const keys = new db.UniqueKeyList(Comment.key({ id: id1, commentID: 'c' }))
+    keys.push(Comment.key({ id: id2, commentID: 'c' }))
+    keys.push(Comment.key({ id: id1, commentID: 'c' }))
+    expect(keys.length).toBe(2)
+  }
+
+  async testCRUD () {
+    const id = uuidv4()
+    const commentKey = { id, commentID: uuidv4() }
+    await db.Context.run(async tx => {
+      tx.create(Post, { id })
+      const comment = tx.create(Comment, { ...commentKey, text: 'hi' })
+      expect(comment.toString()).toBe(`Post/${id}/Comment/${comment.commentID}`)
+    })
+    const docRef = db.firestoreDB.doc(
+      `Post/${id}/Comment/${commentKey.commentID}`)
+    expect((await docRef.get()).data()).toEqual({ text: 'hi' })
+
+    await db.Context.run(async tx => {
+      const comment = await tx.get(Comment, commentKey)
+      expect(comment.id).toBe(id)
+      expect(comment.text).toBe('hi')
+      comment.text = 'bye'
+      const diffs = tx.getModelDiffs()
+      const _id = commentKey.commentID
+      expect(diffs.after).toEqual([{
+        Comment: { _id, data: { _id, id, text: 'bye' } }
+      }])
+    })
+    expect((await docRef.get()).data()).toEqual({ text: 'bye' })
+
+    await db.Context.run(async tx => {
+      await tx.delete(Comment.key(commentKey))
+    })
+    expect((await docRef.get()).exists).toBe(false)
+  }
+
+  async testSameIDUnderDifferentParents () {
+    const [id1, id2] = [uuidv4(), uuidv4()]
+    await db.Context.run(async tx => {
+      tx.create(Comment, { id: id1, commentID: 'same', text: '1' })
+      tx.create(Comment, { id: id2, commentID: 'same', text: '2' })
+    })
+    await db.Context.run({ cacheModels: true }, async tx => {
+      const [c1, c2] = await tx.get([
+        Comment.key({ id: id1, commentID: 'same' }),
+        Comment.key({ id: id2, commentID: 'same' })
+      ])
+      expect(c1.text).toBe('1')
+      expect(c2.text).toBe('2')
+    })
+  }
+}
+
+class MetadataExample extends db.Model {
+  static FIELDS = { n: S.int.optional() }
+}
+
+class DocMetadataTest extends BaseTest {
+  testReservedNames () {
+    class BadMetadataExample extends db.Model {
+      static FIELDS = { updateTime: S.str }
+    }
+    expect(() => BadMetadataExample.__validatedSchema())
+      .toThrow('shadows a property name')
+  }
+
+  async testNewModel () {
+    const id = uuidv4()
+    const model = await db.Context.run(async tx => {
+      const model = await tx.get(MetadataExample, id, { createIfMissing: true })
+      expect(model.readTime).toBeDefined()
+      expect(model.createTime).toBeUndefined()
+      expect(model.updateTime).toBeUndefined()
+      return model
+    })
+    // refreshed after the write was committed
+    expect(model.createTime).toBeDefined()
+    expect(model.updateTime).toEqual(model.createTime)
+
+    const fetched = await db.Context.run(async tx => {
+      return tx.get(MetadataExample, id)
+    })
+    expect(fetched.createTime).toEqual(model.createTime)
+    expect(fetched.updateTime).toEqual(model.updateTime)
+    expect(fetched.readTime.toMillis())
+      .toBeGreaterThanOrEqual(fetched.updateTime.toMillis())
+  }
+
+  async testUpdatedModel () {
+    const id = uuidv4()
+    const created = await db.Context.run(async tx => {
+      return tx.create(MetadataExample, { id })
+    })
+    const updated = await db.Context.run(async tx => {
+      // a delete before the update makes sure writes are matched up with
+      // the right models
+      await tx.delete(MetadataExample.key({ id: uuidv4() }))
+      const model = await tx.get(MetadataExample, id)
+      expect(model.updateTime).toEqual(created.updateTime)
+      model.n = 1
+      return model
+    })
+    expect(updated.createTime).toEqual(created.createTime)
+    expect(updated.updateTime > created.updateTime).toBe(true)
+
+    // unchanged models are not written, so their metadata stays the same
+    const unchanged = await db.Context.run(async tx => {
+      return tx.get(MetadataExample, id)
+    })
+    expect(unchanged.updateTime).toEqual(updated.updateTime)
+  }
+
+  async testOverwrittenModel () {
+    const id = uuidv4()
+    await db.Context.run(async tx => {
+      tx.create(MetadataExample, { id })
+    })
+    const model = await db.Context.run(async tx => {
+      return tx.createOrOverwrite(MetadataExample, { id, n: 2 })
+    })
+    // the doc may have been created before it was overwritten
+    expect(model.createTime).toBeUndefined()
+    expect(model.updateTime).toBeDefined()
+  }
+
+  async testWriteResultsUnavailable () {
+    // write results come from a private part of the Firestore SDK which may
+    // not be there
+    expect(db.Context.__writeBatchOf({})).toBeUndefined()
+    expect(db.Context.__writeBatchOf({ _writeBatch: {} })).toBeUndefined()
+    jest.spyOn(db.Context, '__writeBatchOf').mockReturnValue(undefined)
+    const id = uuidv4()
+    try {
+      const model = await db.Context.run(async tx => {
+        return tx.create(MetadataExample, { id })
+      })
+      // the write times are unknown (but the doc was still written)
+      expect(model.createTime).toBeUndefined()
+      expect(model.updateTime).toBeUndefined()
+    } finally {
+      db.Context.__writeBatchOf.mockRestore()
+    }
+    const fetched = await db.Context.run(tx => tx.get(MetadataExample, id))
+    expect(fetched.updateTime).toBeDefined()
+
+    // a model whose write time is unknown keeps the metadata it had
+    const { updateTime } = fetched
+    jest.spyOn(db.Context, '__writeBatchOf').mockReturnValue(undefined)
+    try {
+      const model = await db.Context.run(async tx => {
+        const model = await tx.get(MetadataExample, id)
+        model.n = 1
+        return model
+      })
+      expect(model.updateTime).toEqual(updateTime)
+    } finally {
+      db.Context.__writeBatchOf.mockRestore()
+    }
+  }
+
+  async testWriteNotQueued () {
+    const id = uuidv4()
+    const model = await db.Context.run(async tx => {
+      // this write fails before it is queued, so it must not throw off which
+      // write result goes with which model
+      await expect(tx.updateWithoutRead(MetadataExample, { id: uuidv4() }))
+        .rejects.toThrow('update did not provide any data to change')
+      return tx.create(MetadataExample, { id })
+    })
+    const fetched = await db.Context.run(tx => tx.get(MetadataExample, id))
+    expect(model.updateTime).toBeDefined()
+    expect(model.updateTime).toEqual(fetched.updateTime)
+  }
+}
+
+// each version of VersionedPerson shares one collection
+class VersionedPersonV1 extends db.Model {
+  static FIELDS = { name: S.str }
+  static get collectionName () { return 'VersionedPerson' }
+}
+
+class VersionedPersonV3 extends db.Model {
+  static FIELDS = { first: S.str, last: S.str, age: S.int }
+  static SCHEMA_VERSION = 3
+  static MIGRATIONS = {
+    // version 2 split name into first and last
+    2: ({ name, ...data }) => {
+      const [first, last] = name.split(' ')
+      return { ...data, first, last }
+    },
+    // version 3 added a required age
+    3: data => ({ ...data, age: 0 })
+  }
+
+  static get collectionName () { return 'VersionedPerson' }
+}
+
+class SchemaVersionTest extends BaseTest {
+  testBadVersions () {
+    const check = (props, msg) => {
+      class BadVersionExample extends db.Model {}
+      Object.assign(BadVersionExample, props)
+      expect(() => BadVersionExample.__doOneTimeModelPrep()).toThrow(msg)
+    }
+    for (const version of [0, 1.5, '2', undefined]) {
+      check({ SCHEMA_VERSION: version }, 'must be a positive integer')
+    }
+    for (const version of [1, 3, 'x']) {
+      check({ SCHEMA_VERSION: 2, MIGRATIONS: { [version]: x => x } },
+        `version ${version} must be between 2 and SCHEMA_VERSION`)
+    }
+    check({ SCHEMA_VERSION: 2, MIGRATIONS: { 2: {} } },
+      'version 2 must be a function')
+  }
+
+  async testMigrateOnRead () {
+    const id = uuidv4()
+    await db.Context.run(tx => tx.create(VersionedPersonV1, {
+      id, name: 'Ada Lovelace'
+    }))
+    const model = await db.Context.run(async tx => {
+      const model = await tx.get(VersionedPersonV3, id)
+      expect(model.toJSON()).toEqual({
+        id, first: 'Ada', last: 'Lovelace', age: 0
+      })
+      return model
+    })
+
+    // the upgraded doc was written back (so it won't be migrated again)
+    const docRef = VersionedPersonV3.key(id).docRef
+    const doc = await docRef.get()
+    expect(doc.data()).toEqual({
+      first: 'Ada', last: 'Lovelace', age: 0, _schemaVersion: 3
+    })
+    expect(model.updateTime).toEqual(doc.updateTime)
+    await db.Context.run(async tx => {
+      const model = await tx.get(VersionedPersonV3, id)
+      expect(model.__isMutated()).toBe(false)
+    })
+  }
+
+  async testMigrateFromIntermediateVersion () {
+    const id = uuidv4()
+    const docRef = VersionedPersonV3.key(id).docRef
+    await docRef.set({ first: 'Alan', last: 'Turing', _schemaVersion: 2 })
+    await db.Context.run(async tx => {
+      const model = await tx.get(VersionedPersonV3, id)
+      expect(model.first).toBe('Alan')
+      model.age = 41
+    })
+    const doc = await docRef.get()
+    expect(doc.data()).toEqual({
+      first: 'Alan', last: 'Turing', age: 41, _schemaVersion: 3
+    })
+  }
+
+  async testNoWriteBackWhenReadOnly () {
+    const id = uuidv4()
+    await db.Context.run(tx => tx.create(VersionedPersonV1, {
+      id, name: 'Grace Hopper'
+    }))
+    await db.Context.run({ readOnly: true }, async tx => {
+      const model = await tx.get(VersionedPersonV3, id)
+      expect(model.first).toBe('Grace')
+    })
+    const doc = await VersionedPersonV3.key(id).docRef.get()
+    expect(doc.data()).toEqual({ name: 'Grace Hopper' })
+  }
+
+  async testNewDocsStoreVersion () {
+    const id = uuidv4()
+    await db.Context.run(tx => tx.create(VersionedPersonV3, {
+      id, first: 'Ada', last: 'Lovelace', age: 36
+    }))
+    const doc = await VersionedPersonV3.key(id).docRef.get()
+    expect(doc.get('_schemaVersion')).toBe(3)
+
+    // docs from newer code can't be read by older code
+    await expect(db.Context.run(tx => tx.get(VersionedPersonV1, id)))
+      .rejects.toThrow('doc has SCHEMA_VERSION 3 which is newer than 1')
+  }
+
+  async testNoBlindUpdates () {
+    const id = uuidv4()
+    await db.Context.run(tx => tx.create(VersionedPersonV1, {
+      id, name: 'Grace Hopper'
+    }))
+    // the update would leave the doc at version 1 with version 3's fields
+    await expect(db.Context.run(tx => tx.updateWithoutRead(VersionedPersonV3, {
+      id, age: 85
+    }))).rejects.toThrow('must be read to be updated')
+    const doc = await VersionedPersonV3.key(id).docRef.get()
+    expect(doc.data()).toEqual({ name: 'Grace Hopper' })
+  }
+
+  async testBeforeUpdateChanges () {
+    const id = uuidv4()
+    await db.Context.run(tx => tx.create(VersionedPersonV1, {
+      id, name: 'Ada Lovelace'
+    }))
+    const beforeUpdate = jest.spyOn(VersionedPersonV3.prototype, 'beforeUpdate')
+    try {
+      await db.Context.run(async tx => {
+        const model = await tx.get(VersionedPersonV3, id)
+        model.age = 36
+      })
+      // the whole doc is rewritten, but only the fields changed since the
+      // migration are reported
+      expect(beforeUpdate).toHaveBeenCalledTimes(1)
+      expect(beforeUpdate.mock.calls[0][1]).toEqual({
+        age: { before: 0, after: 36 }
+      })
+    } finally {
+      beforeUpdate.mockRestore()
+    }
+  }
+
+  async testBadMigration () {
+    class BadMigrationExample extends db.Model {
+      static FIELDS = { n: S.int }
+      static SCHEMA_VERSION = 2
+      static MIGRATIONS = { 2: data => { data.n = 1 } }
+    }
+    const id = uuidv4()
+    await BadMigrationExample.key(id).docRef.set({})
+    await expect(db.Context.run(tx => tx.get(BadMigrationExample, id)))
+      .rejects.toThrow('migration to SCHEMA_VERSION 2 did not return')
+  }
+}
+
+class Animal extends db.Model {
+  static DISCRIMINATOR = 'kind'
+  static FIELDS = { name: S.str }
+}
+
+class Dog extends Animal {
+  static FIELDS = { ...Animal.FIELDS, goodBoy: S.bool.default(true) }
+}
+
+class Cat extends Animal {
+  static FIELDS = { ...Animal.FIELDS, lives: S.int.default(9) }
+}
+
+class Kitten extends Cat {}
+
+Animal.registerSubclass(Dog, 'dog')
+Animal.registerSubclass(Cat)
+Animal.registerSubclass(Kitten, 'kitten')
+
+class PolymorphicModelTest extends BaseTest {
+  async beforeAll () {
+    await super.beforeAll()
+    this.name = uuidv4()
+    this.ids = {}
+    await db.Context.run(tx => {
+      for (const Cls of [Animal, Dog, Cat, Kitten]) {
+        this.ids[Cls.name] = uuidv4()
+        tx.create(Cls, { id: this.ids[Cls.name], name: this.name })
+      }
+    })
+  }
+
+  testBadPolymorphicModels () {
+    class NotPolymorphicExample extends db.Model {}
+    class NotPolymorphicSubExample extends NotPolymorphicExample {}
+    expect(() => NotPolymorphicExample.registerSubclass(
+      NotPolymorphicSubExample)).toThrow(
+      'DISCRIMINATOR must be declared by NotPolymorphicExample')
+    expect(() => Dog.registerSubclass(class extends Dog {}))
+      .toThrow('DISCRIMINATOR must be declared by Dog')
+    expect(() => Animal.registerSubclass(NotPolymorphicExample))
+      .toThrow('must be a subclass of Animal')
+    expect(() => Animal.registerSubclass(undefined))
+      .toThrow('must be a subclass of Animal')
+    for (const value of ['', 1]) {
+      expect(() => Animal.registerSubclass(class extends Animal {}, value))
+        .toThrow('must be a non-empty string')
+    }
+    class Bird extends Animal {}
+    expect(() => Animal.registerSubclass(Bird, 'dog'))
+      .toThrow('Bird or "dog" is already registered')
+    expect(() => Animal.registerSubclass(Dog, 'otherDog'))
+      .toThrow('Dog or "otherDog" is already registered')
+
+    class Fish extends Animal {}
+    expect(() => Fish.__doOneTimeModelPrep())
+      .toThrow('Fish must be registered with Animal.registerSubclass()')
+    class Snake extends Animal {
+      static KEY = { name: S.str }
+    }
+    expect(() => Animal.registerSubclass(Snake))
+      .toThrow('Snake must use the KEY, PARENT and collection of Animal')
+    class Lizard extends Animal {
+      static get collectionName () { return 'Lizard' }
+    }
+    expect(() => Animal.registerSubclass(Lizard))
+      .toThrow('Lizard must use the KEY, PARENT and collection of Animal')
+    class Frog extends Animal {
+      static FIELDS = { kind: S.str }
+    }
+    expect(() => Animal.registerSubclass(Frog))
+      .toThrow('kind is reserved for the DISCRIMINATOR')
+
+    // queries of a subclass may filter on at most 30 discriminator values
+    class Pet extends db.Model {
+      static DISCRIMINATOR = 'kind'
+    }
+    class Hamster extends Pet {}
+    Pet.registerSubclass(Hamster)
+    for (let i = 1; i < 30; i++) {
+      Pet.registerSubclass(class extends Hamster {}, `hamster${i}`)
+    }
+    expect(() => Pet.registerSubclass(class extends Hamster {}, 'hamster30'))
+      .toThrow('would make queries of Hamster filter on more than 30 kind')
+    // other subclasses have their own limit
+    Pet.registerSubclass(class Parrot extends Pet {})
+
+    for (const discriminator of ['', 1]) {
+      class BadDiscriminatorExample extends db.Model {
+        static DISCRIMINATOR = discriminator
+      }
+      expect(() => BadDiscriminatorExample.__doOneTimeModelPrep())
+        .toThrow('DISCRIMINATOR must be a non-empty string')
+    }
+  }
+
+  testCollectionName () {
+    for (const Cls of [Animal, Dog, Cat, Kitten]) {
+      expect(Cls.collectionName).toBe('Animal')
+    }
+  }
+
+  async testReadAsSubclass () {
+    await db.Context.run(async tx => {
+      const models = await tx.get(Object.values(this.ids).map(
+        id => Animal.key(id)))
+      expect(models.map(m => m.constructor)).toEqual(
+        [Animal, Dog, Cat, Kitten])
+      expect(models[1].goodBoy).toBe(true)
+      expect(models[3].lives).toBe(9)
+      // the discriminator is not a field
+      expect(models[1].toJSON()).toEqual({
+        id: this.ids.Dog, name: this.name, goodBoy: true
+      })
+      // reading via a subclass works too
+      expect(await tx.get(Cat, this.ids.Kitten)).toBeInstanceOf(Kitten)
+    })
+
+    // the discriminator is only stored for subclasses
+    const animalDoc = await Animal.key(this.ids.Animal).docRef.get()
+    expect(animalDoc.data()).toEqual({ name: this.name })
+    const dogDoc = await Animal.key(this.ids.Dog).docRef.get()
+    expect(dogDoc.data()).toEqual({ name: this.name, goodBoy: true, kind: 'dog' })
+    const catDoc = await Animal.key(this.ids.Cat).docRef.get()
+    expect(catDoc.get('kind')).toBe('Cat')
+  }
+
+  async testUpdateSubclass () {
+    const id = uuidv4()
+    await db.Context.run(tx => tx.create(Dog, { id, name: 'Rex' }))
+    await db.Context.run(async tx => {
+      const dog = await tx.get(Animal, id)
+      dog.goodBoy = false
+    })
+    const doc = await Dog.key(id).docRef.get()
+    expect(doc.data()).toEqual({ name: 'Rex', goodBoy: false, kind: 'dog' })
+  }
+
+  async testReadWrongSubclass () {
+    await db.Context.run(async tx => {
+      await expect(tx.get(Dog, this.ids.Cat))
+        .rejects.toThrow('doc does not hold a Dog')
+      await expect(tx.get(Kitten, this.ids.Cat))
+        .rejects.toThrow('doc does not hold a Kitten')
+      await expect(tx.get(Dog, this.ids.Animal))
+        .rejects.toThrow('doc does not hold a Dog')
+    })
+  }
+
+  async testUnknownDiscriminator () {
+    const key = Animal.key(uuidv4())
+    await key.docRef.set({ name: 'Daisy', kind: 'cow' })
+    await expect(db.Context.run(tx => tx.get(key)))
+      .rejects.toThrow('doc has unknown kind "cow"')
+    await key.docRef.delete()
+  }
+
+  async testQuery () {
+    const query = Cls => db.Context.run(async tx => {
+      const models = await tx.query(Cls).where('name', '==', this.name).fetch()
+      return models.map(m => m.constructor.name).sort()
+    })
+    expect(await query(Animal)).toEqual(['Animal', 'Cat', 'Dog', 'Kitten'])
+    expect(await query(Cat)).toEqual(['Cat', 'Kitten'])
+    expect(await query(Dog)).toEqual(['Dog'])
+    expect(await query(Kitten)).toEqual(['Kitten'])
+
+    // Firestore does not allow these with the discriminator's "in" filter
+    await db.Context.run(async tx => {
+      for (const [op, value] of [['!=', 'x'], ['not-in', ['x']]]) {
+        expect(() => tx.query(Cat).where('name', op, value)).toThrow(
+          `${op} cannot be used in queries of Cat since they filter on kind`)
+        tx.query(Animal).where('name', op, value)
+      }
+    })
+  }
+
+  async testScan () {
+    const scan = async Cls => {
+      const names = []
+      for await (const model of Cls.scan()) {
+        if (model.name === this.name) {
+          names.push(model.constructor.name)
+        }
+      }
+      return names.sort()
+    }
+    expect(await scan(Animal)).toEqual(['Animal', 'Cat', 'Dog', 'Kitten'])
+    expect(await scan(Cat)).toEqual(['Cat', 'Kitten'])
+  }
+}
+
+class ConstraintExample extends db.Model {
+  static FIELDS = {
+    startDate: S.int,
+    endDate: S.int,
+    email: S.str.optional(),
+    phone: S.str.optional(),
+    score: S.int.default(0)
+  }
+
+  static CONSTRAINTS = {
+    'endDate must not be before startDate':
+      ({ startDate, endDate }) => endDate >= startDate,
+    'exactly one of email and phone must be set':
+      ({ email, phone }) => (email === undefined) !== (phone === undefined)
+  }
+}
+
+class ConstraintTest extends BaseTest {
+  async createValid () {
+    const id = uuidv4()
+    await db.Context.run(tx => tx.create(ConstraintExample, {
+      id, startDate: 1, endDate: 2, email: 'a@example.com'
+    }))
+    return id
+  }
+
+  testBadConstraints () {
+    class BadConstraintExample extends db.Model {
+      static CONSTRAINTS = { 'must be valid': true }
+    }
+    expect(() => BadConstraintExample.__doOneTimeModelPrep())
+      .toThrow('CONSTRAINTS "must be valid" must be a function')
+  }
+
+  async testCreate () {
+    const id = uuidv4()
+    const err = await db.Context.run({ retries: 0 }, tx => {
+      tx.create(ConstraintExample, {
+        id, startDate: 2, endDate: 1, email: 'a@example.com', phone: '555'
+      })
+    }).catch(e => e)
+    expect(err).toBeInstanceOf(db.ModelValidationError)
+    expect(err.violations).toEqual([
+      'endDate must not be before startDate',
+      'exactly one of email and phone must be set'
+    ])
+    expect(err.message).toContain('Model violates constraints (endDate')
+
+    // only violated constraints are listed
+    await expect(db.Context.run({ retries: 0 }, tx => {
+      tx.create(ConstraintExample, { id, startDate: 1, endDate: 2 })
+    })).rejects.toThrow(
+      'Model violates constraints (exactly one of email and phone must be set)')
+
+    await this.createValid()
+  }
+
+  async testUpdate () {
+    const id = await this.createValid()
+    await expect(db.Context.run({ retries: 0 }, async tx => {
+      const model = await tx.get(ConstraintExample, id)
+      model.endDate = 0
+    })).rejects.toThrow(db.ModelValidationError)
+    await db.Context.run(async tx => {
+      const model = await tx.get(ConstraintExample, id)
+      expect(model.endDate).toBe(2)
+      model.endDate = 3
+    })
+
+    // checking constraints doesn't prevent blind increments
+    const model = await db.Context.run(async tx => {
+      const model = await tx.get(ConstraintExample, id)
+      model.getField('score').incrementBy(1)
+      return model
+    })
+    expect(model.getField('score').canUpdateWithIncrement).toBe(true)
+  }
+
+  async testUpdateWithoutRead () {
+    // partial models aren't checked (they may not have every field)
+    const id = await this.createValid()
+    await db.Context.run(tx => tx.updateWithoutRead(ConstraintExample, {
+      id, phone: '555'
+    }))
+  }
+
+  async testLoad () {
+    const id = uuidv4()
+    await ConstraintExample.key(id).docRef.set({ startDate: 2, endDate: 1 })
+    await expect(db.Context.run(tx => tx.get(ConstraintExample, id)))
+      .rejects.toThrow('Model violates constraints')
+  }
+}
+
 runTests(
   BadModelTest,
   ConditionCheckTest,
+  ConstraintTest,
   DefaultsTest,
+  DocMetadataTest,
   ErrorTest,
   GetArgsParserTest,
   IDSchemaTest,
   JSONExampleTest,
   KeyTest,
+  NestedModelTest,
   NewModelTest,
   OptDefaultExampleTest,
+  PolymorphicModelTest,
+  SchemaVersionTest,
   SimpleExampleTest,
   SnapshotTest,
   WriteTest,
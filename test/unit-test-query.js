@@ -0,0 +1,646 @@
+const S = require('@pocketgems/schema')
+const { BaseTest, runTests } = require('@pocketgems/unit-test')
+const uuidv4 = require('uuid').v4
+
+const db = require('./db-with-field-maker')
+
+class QueryExample extends db.Model {
+  static FIELDS = {
+    product: S.str,
+    quantity: S.int.min(0),
+    tags: S.arr(S.str).optional()
+  }
+}
+
+class QueryCompoundKeyExample extends db.Model {
+  static KEY = { a: S.str, b: S.int }
+  static FIELDS = { product: S.str }
+}
+
+class QueryParentExample extends db.Model {}
+
+class QueryNestedExample extends db.Model {
+  static PARENT = QueryParentExample
+  static KEY = { n: S.int }
+  static FIELDS = { product: S.str }
+}
+
+class QueryTimestampExample extends db.Model {
+  static FIELDS = { product: S.str, at: db.S.timestamp }
+}
+
+class QueryRefExample extends db.Model {
+  static FIELDS = { owner: db.S.ref(QueryParentExample), n: S.int }
+}
+
+class QueryNearExample extends db.Model {
+  static FIELDS = {
+    tag: S.str,
+    loc: db.S.geopoint.withGeohash(),
+    otherLoc: db.S.geopoint.optional()
+  }
+}
+
+class QueryOtherParentExample extends db.Model {}
+
+// shares a collection group with QueryNestedExample
+class QueryOtherNestedExample extends db.Model {
+  static PARENT = QueryOtherParentExample
+  static KEY = { n: S.int }
+  static FIELDS = { product: S.str }
+  static get collectionName () {
+    return 'QueryNestedExample'
+  }
+}
+
+class QueryValidationTest extends BaseTest {
+  testBadModel () {
+    const ctx = new db.Context()
+    expect(() => ctx.query()).toThrow(db.InvalidParameterError)
+    expect(() => ctx.query({})).toThrow(db.InvalidParameterError)
+  }
+
+  testBadParentKey () {
+    const ctx = new db.Context()
+    const parentKey = QueryParentExample.key(uuidv4())
+    expect(() => ctx.query(QueryExample, parentKey))
+      .toThrow('must be omitted since QueryExample docs are not nested')
+    expect(() => ctx.query(QueryNestedExample))
+      .toThrow('must be a QueryParentExample key')
+    expect(() => ctx.query(QueryNestedExample, QueryExample.key(uuidv4())))
+      .toThrow('must be a QueryParentExample key')
+  }
+
+  testBadGroupModel () {
+    const ctx = new db.Context()
+    expect(() => ctx.queryGroup()).toThrow(db.InvalidParameterError)
+    expect(() => ctx.queryGroup(QueryExample))
+      .toThrow('must be a nested model but QueryExample has no PARENT')
+    ctx.queryGroup(QueryNestedExample)
+  }
+
+  testUnknownField () {
+    const query = new db.Context().query(QueryExample)
+    expect(() => query.where('nope', '==', 1)).toThrow('has no field named')
+    expect(() => query.orderBy('nope')).toThrow('has no field named')
+  }
+
+  testKeyField () {
+    const query = new db.Context().query(QueryExample)
+    expect(() => query.where('id', '==', uuidv4())).toThrow('key component')
+    expect(() => query.orderBy('id')).toThrow('key component')
+  }
+
+  testBadOperand () {
+    const query = new db.Context().query(QueryExample)
+    expect(() => query.where('quantity', '==', 'x')).toThrow(S.ValidationError)
+    expect(() => query.where('quantity', '>', -1)).toThrow(S.ValidationError)
+    expect(() => query.where('quantity', '==', undefined))
+      .toThrow('must not be undefined')
+    expect(() => query.where('quantity', 'in', [1, 'x']))
+      .toThrow(S.ValidationError)
+    expect(() => query.where('quantity', 'in', 1)).toThrow('non-empty array')
+    expect(() => query.where('quantity', 'not-in', [])).toThrow('non-empty array')
+    const tooMany = [...Array(31).keys()]
+    expect(() => query.where('quantity', 'in', tooMany))
+      .toThrow('more than 30 elements')
+  }
+
+  testBadOperator () {
+    const query = new db.Context().query(QueryExample)
+    expect(() => query.where('quantity', '=', 1)).toThrow('unsupported operator')
+    expect(() => query.where('quantity', 'array-contains', 1))
+      .toThrow('may only be used on array fields')
+    expect(() => query.where('tags', 'array-contains', 1))
+      .toThrow('must be of type string')
+    expect(() => query.where('tags', 'array-contains', null))
+      .toThrow('must be of type string')
+    expect(() => query.where('tags', 'array-contains-any', ['a', 2]))
+      .toThrow('must be of type string')
+    query.where('tags', 'array-contains-any', ['a', 'b'])
+  }
+
+  testBadOrderAndLimit () {
+    const query = new db.Context().query(QueryExample)
+    expect(() => query.orderBy('quantity', 'up')).toThrow('"asc" or "desc"')
+    expect(() => query.limit(0)).toThrow('positive integer')
+    expect(() => query.limit(1.5)).toThrow('positive integer')
+  }
+
+  async testBadQueryNear () {
+    const ctx = new db.Context()
+    const center = { latitude: 0, longitude: 0 }
+    await expect(ctx.queryNear(QueryNearExample, 'otherLoc', center, 1))
+      .rejects.toThrow('must be a geopoint field with a geohash')
+    await expect(ctx.queryNear(QueryNearExample, 'tag', center, 1))
+      .rejects.toThrow('must be a geopoint field with a geohash')
+    await expect(ctx.queryNear(QueryNearExample, 'loc', 'x', 1))
+      .rejects.toThrow('must be a GeoPoint')
+    await expect(ctx.queryNear(QueryNearExample, 'loc', center, 0))
+      .rejects.toThrow('must be a positive number')
+    await expect(ctx.queryNear(QueryNearExample, 'loc', center, '1'))
+      .rejects.toThrow('must be a positive number')
+  }
+
+  async testBadPaginateParams () {
+    const query = new db.Context().query(QueryExample)
+    await expect(query.paginate()).rejects.toThrow('positive integer')
+    await expect(query.paginate({ pageSize: 0 })).rejects
+      .toThrow('positive integer')
+    await expect(query.limit(2).paginate({ pageSize: 2 })).rejects
+      .toThrow('use pageSize instead')
+  }
+
+  testBadPageToken () {
+    const query = new db.Context().query(QueryExample).orderBy('quantity')
+    const token = query.__encodePageToken({ id: uuidv4(), get: () => 1 })
+    expect(query.__decodePageToken(token)[0]).toBe(1)
+    const badTokens = [
+      'not base64 json',
+      Buffer.from('{}').toString('base64url'),
+      // the doc ID is not a valid key
+      query.__encodePageToken({ id: 'x', get: () => 1 }),
+      // sorted by a different field
+      new db.Context().query(QueryExample).orderBy('product')
+        .__encodePageToken({ id: uuidv4(), get: () => 'x' })
+    ]
+    for (const badToken of badTokens) {
+      expect(() => query.__decodePageToken(badToken))
+        .toThrow('is not a page token for this query')
+    }
+  }
+
+  testBadGroupPageToken () {
+    const id = uuidv4()
+    const query = new db.Context().queryGroup(QueryNestedExample)
+    const makeDoc = parentPath => ({
+      id: '1',
+      ref: { parent: { parent: { path: parentPath } } }
+    })
+    const token = query.__encodePageToken(
+      makeDoc(QueryParentExample.key(id).docRef.path))
+    expect(query.__decodePageToken(token)[0].path)
+      .toBe(QueryNestedExample.key({ id, n: 1 }).docRef.path)
+    const badTokens = [
+      // not from a group query
+      new db.Context().query(QueryNestedExample, QueryParentExample.key(id))
+        .__encodePageToken({ id: '1' }),
+      // not under a QueryParentExample doc
+      query.__encodePageToken(
+        makeDoc(QueryOtherParentExample.key(id).docRef.path))
+    ]
+    for (const badToken of badTokens) {
+      expect(() => query.__decodePageToken(badToken))
+        .toThrow('is not a page token for this query')
+    }
+  }
+}
+
+class QueryTest extends BaseTest {
+  async beforeAll () {
+    await super.beforeAll()
+    // a unique product name isolates this run's docs from any others
+    this.product = uuidv4()
+    this.ids = []
+    await db.Context.run(async tx => {
+      for (let i = 0; i < 5; i++) {
+        const id = uuidv4()
+        this.ids.push(id)
+        tx.create(QueryExample, {
+          id,
+          product: this.product,
+          quantity: i,
+          tags: i % 2 ? ['odd'] : ['even']
+        })
+      }
+    })
+  }
+
+  async testFetch () {
+    const models = await db.Context.run(async tx => {
+      return tx.query(QueryExample)
+        .where('product', '==', this.product)
+        .where('quantity', '>=', 1)
+        .orderBy('quantity', 'desc')
+        .limit(3)
+        .fetch()
+    })
+    expect(models.map(m => m.quantity)).toEqual([4, 3, 2])
+    expect(models[0]).toBeInstanceOf(QueryExample)
+    expect(models[0].id).toBe(this.ids[4])
+    expect(models[0].isNew).toBe(false)
+  }
+
+  async testArrayContains () {
+    const models = await db.Context.run(async tx => {
+      return tx.query(QueryExample)
+        .where('product', '==', this.product)
+        .where('tags', 'array-contains', 'odd')
+        .orderBy('quantity')
+        .fetch()
+    })
+    expect(models.map(m => m.quantity)).toEqual([1, 3])
+  }
+
+  async testPaginate () {
+    const getPage = async (pageToken) => db.Context.run(async tx => {
+      return tx.query(QueryExample)
+        .where('product', '==', this.product)
+        .orderBy('quantity', 'desc')
+        .paginate({ pageSize: 2, pageToken })
+    })
+    const quantities = []
+    let pageToken
+    let numPages = 0
+    do {
+      // each page is fetched in a different context
+      const page = await getPage(pageToken)
+      expect(page.models.length).toBeLessThanOrEqual(2)
+      quantities.push(...page.models.map(m => m.quantity))
+      pageToken = page.nextPageToken
+      numPages++
+    } while (pageToken)
+    expect(quantities).toEqual([4, 3, 2, 1, 0])
+    expect(numPages).toBe(3)
+  }
+
+  async testPaginateCompoundKey () {
+    const product = uuidv4()
+    await db.Context.run(async tx => {
+      for (let i = 0; i < 3; i++) {
+        tx.create(QueryCompoundKeyExample, { a: product, b: i, product })
+      }
+    })
+    const ids = []
+    let pageToken
+    do {
+      const page = await db.Context.run(async tx => {
+        return tx.query(QueryCompoundKeyExample)
+          .where('product', '==', product)
+          .paginate({ pageSize: 1, pageToken })
+      })
+      ids.push(...page.models.map(m => m.b))
+      pageToken = page.nextPageToken
+    } while (pageToken)
+    expect(ids).toEqual([0, 1, 2])
+  }
+
+  async testNestedQuery () {
+    const [id1, id2] = [uuidv4(), uuidv4()]
+    const product = uuidv4()
+    await db.Context.run(async tx => {
+      for (const id of [id1, id2]) {
+        for (let n = 0; n < 3; n++) {
+          tx.create(QueryNestedExample, { id, n, product })
+        }
+      }
+    })
+    const parentKey = QueryParentExample.key(id1)
+    const models = []
+    let pageToken
+    do {
+      const page = await db.Context.run(async tx => {
+        return tx.query(QueryNestedExample, parentKey)
+          .where('product', '==', product)
+          .paginate({ pageSize: 2, pageToken })
+      })
+      models.push(...page.models)
+      pageToken = page.nextPageToken
+    } while (pageToken)
+    expect(models.map(m => [m.id, m.n])).toEqual([[id1, 0], [id1, 1], [id1, 2]])
+  }
+
+  async testGroupQuery () {
+    const [id1, id2] = [uuidv4(), uuidv4()]
+    const product = uuidv4()
+    await db.Context.run(async tx => {
+      for (const id of [id1, id2]) {
+        for (let n = 0; n < 2; n++) {
+          tx.create(QueryNestedExample, { id, n, product })
+        }
+      }
+      // in the same collection group, but not a QueryNestedExample doc
+      tx.create(QueryOtherNestedExample, { id: id1, n: 9, product })
+    })
+    const models = []
+    let pageToken
+    do {
+      const page = await db.Context.run(async tx => {
+        return tx.queryGroup(QueryNestedExample)
+          .where('product', '==', product)
+          .paginate({ pageSize: 3, pageToken })
+      })
+      models.push(...page.models)
+      pageToken = page.nextPageToken
+    } while (pageToken)
+    expect(models.length).toBe(4)
+    for (const model of models) {
+      expect(model).toBeInstanceOf(QueryNestedExample)
+    }
+    const keys = models.map(m => `${m.id}/${m.n}`).sort()
+    expect(keys).toEqual([
+      `${id1}/0`, `${id1}/1`, `${id2}/0`, `${id2}/1`].sort())
+  }
+
+  async testTimestampField () {
+    const product = uuidv4()
+    await db.Context.run(async tx => {
+      for (let i = 0; i < 4; i++) {
+        tx.create(QueryTimestampExample,
+          { id: uuidv4(), product, at: new Date(Date.UTC(2023, 0, i + 1)) })
+      }
+    })
+    const days = []
+    let pageToken
+    do {
+      const page = await db.Context.run(async tx => {
+        return tx.query(QueryTimestampExample)
+          .where('product', '==', product)
+          .where('at', '>', new Date(Date.UTC(2023, 0, 1)))
+          .orderBy('at', 'desc')
+          .paginate({ pageSize: 2, pageToken })
+      })
+      days.push(...page.models.map(m => m.at.toDate().getUTCDate()))
+      pageToken = page.nextPageToken
+    } while (pageToken)
+    expect(days).toEqual([4, 3, 2])
+  }
+
+  async testReferenceField () {
+    const owners = [uuidv4(), uuidv4()].sort()
+    const ownerKeys = owners.map(id => QueryParentExample.key(id))
+    const n = Math.floor(Math.random() * 1000000)
+    await db.Context.run(async tx => {
+      for (const owner of [...ownerKeys, ...ownerKeys]) {
+        tx.create(QueryRefExample, { id: uuidv4(), owner, n })
+      }
+    })
+    const models = await db.Context.run(async tx => {
+      return tx.query(QueryRefExample)
+        .where('owner', '==', ownerKeys[0])
+        .where('n', '==', n)
+        .fetch()
+    })
+    expect(models.length).toBe(2)
+    expect(models[0].owner.keyComponents).toEqual({ id: owners[0] })
+
+    const ids = []
+    let pageToken
+    do {
+      const page = await db.Context.run(async tx => {
+        return tx.query(QueryRefExample)
+          .where('owner', 'in', ownerKeys)
+          .where('n', '==', n)
+          .orderBy('owner')
+          .paginate({ pageSize: 3, pageToken })
+      })
+      ids.push(...page.models.map(m => m.owner.keyComponents.id))
+      pageToken = page.nextPageToken
+    } while (pageToken)
+    expect(ids).toEqual([owners[0], owners[0], owners[1], owners[1]])
+  }
+
+  async testQueryNear () {
+    // somewhere random so other runs' docs are far away
+    const center = {
+      latitude: Math.random() * 100 - 50,
+      longitude: Math.random() * 300 - 150
+    }
+    const tag = uuidv4()
+    const metersPerDegree = 111195
+    // distances (north of center) in meters
+    const distances = [2000, 10, 500, 999, 1001]
+    await db.Context.run(async tx => {
+      for (const distance of distances) {
+        tx.create(QueryNearExample, {
+          id: uuidv4(),
+          tag,
+          loc: {
+            latitude: center.latitude + distance / metersPerDegree,
+            longitude: center.longitude
+          }
+        })
+      }
+    })
+    const models = await db.Context.run(async tx => {
+      return tx.queryNear(QueryNearExample, 'loc', center, 1000)
+    })
+    const found = models.filter(m => m.tag === tag)
+      .map(m => Math.round(db.geo.distanceBetween(center, m.loc)))
+    expect(found).toEqual([10, 500, 999])
+  }
+
+  async testNoResults () {
+    const models = await db.Context.run(async tx => {
+      return tx.query(QueryExample).where('product', '==', uuidv4()).fetch()
+    })
+    expect(models).toEqual([])
+  }
+
+  async testChangesAreSaved () {
+    const product = uuidv4()
+    const id = uuidv4()
+    await db.Context.run(async tx => {
+      tx.create(QueryExample, { id, product, quantity: 1 })
+    })
+    await db.Context.run(async tx => {
+      const [model] = await tx.query(QueryExample)
+        .where('product', '==', product).fetch()
+      model.quantity += 1
+    })
+    const model = await db.Context.run(tx => tx.get(QueryExample, id))
+    expect(model.quantity).toBe(2)
+  }
+
+  async testTrackedTwice () {
+    const fut = db.Context.run(async tx => {
+      await tx.get(QueryExample, this.ids[0])
+      await tx.query(QueryExample).where('product', '==', this.product).fetch()
+    })
+    await expect(fut).rejects.toThrow(db.ModelTrackedTwiceError)
+  }
+
+  async testCachedModels () {
+    await db.Context.run({ cacheModels: true }, async tx => {
+      const cached = await tx.get(QueryExample, this.ids[0])
+      const models = await tx.query(QueryExample)
+        .where('product', '==', this.product)
+        .orderBy('quantity')
+        .fetch()
+      // previously fetched models are reused
+      expect(models.length).toBe(5)
+      expect(models[0]).toBe(cached)
+    })
+  }
+
+  async testCachedDeletedModel () {
+    const product = uuidv4()
+    const id = uuidv4()
+    const data = { id, product, quantity: 1 }
+    await db.Context.run(tx => { tx.create(QueryExample, data) })
+    const opts = { readOnly: true, consistentReads: false, cacheModels: true }
+    await db.Context.run(opts, async ctx => {
+      // hacky allow writes outside tx (not recommended, but possible)
+      ctx.options.readOnly = false
+      await ctx.delete(QueryExample.key(id))
+      // someone else re-creates the doc
+      await db.Context.run(tx => { tx.create(QueryExample, data) })
+      // docs this context deleted are omitted
+      const models = await ctx.query(QueryExample)
+        .where('product', '==', product).fetch()
+      expect(models).toEqual([])
+    })
+  }
+}
+
+class AggregationTest extends BaseTest {
+  async beforeAll () {
+    await super.beforeAll()
+    this.product = uuidv4()
+    await db.Context.run(async tx => {
+      for (let i = 1; i <= 4; i++) {
+        tx.create(QueryExample, { id: uuidv4(), product: this.product, quantity: i })
+      }
+    })
+  }
+
+  testBadParams () {
+    const ctx = new db.Context()
+    expect(() => ctx.__queryWithFilters(QueryExample, {}))
+      .toThrow('must be a list of [fieldName, op, value] conditions')
+    expect(() => ctx.__queryWithFilters(QueryExample, [['product', '==']]))
+      .toThrow('must be a list of [fieldName, op, value] conditions')
+    expect(() => ctx.__queryWithFilters(QueryExample, ['product']))
+      .toThrow('must be a list of [fieldName, op, value] conditions')
+  }
+
+  async testNotANumberField () {
+    await db.Context.run(async tx => {
+      await expect(tx.sum(QueryExample, 'product')).rejects
+        .toThrow('is not a number field')
+      await expect(tx.average(QueryExample, 'tags')).rejects
+        .toThrow('is not a number field')
+      await expect(tx.sum(QueryExample, 'id')).rejects
+        .toThrow('key component')
+    })
+  }
+
+  async testAggregations () {
+    const filters = [['product', '==', this.product]]
+    await db.Context.run(async tx => {
+      expect(await tx.count(QueryExample, filters)).toBe(4)
+      expect(await tx.sum(QueryExample, 'quantity', filters)).toBe(10)
+      expect(await tx.average(QueryExample, 'quantity', filters)).toBe(2.5)
+
+      const moreFilters = [...filters, ['quantity', '>', 2]]
+      expect(await tx.count(QueryExample, moreFilters)).toBe(2)
+      expect(await tx.sum(QueryExample, 'quantity', moreFilters)).toBe(7)
+    })
+  }
+
+  async testNoMatches () {
+    const filters = [['product', '==', uuidv4()]]
+    await db.Context.run(async tx => {
+      expect(await tx.count(QueryExample, filters)).toBe(0)
+      expect(await tx.sum(QueryExample, 'quantity', filters)).toBe(0)
+      expect(await tx.average(QueryExample, 'quantity', filters)).toBe(null)
+    })
+  }
+
+  async testAggregateQuery () {
+    const count = await db.Context.run(async tx => {
+      return tx.query(QueryExample)
+        .where('product', '==', this.product)
+        .limit(3)
+        .count()
+    })
+    expect(count).toBe(3)
+  }
+
+  async testCountAll () {
+    await db.Context.run(async tx => {
+      expect(await tx.count(QueryExample)).toBeGreaterThanOrEqual(4)
+    })
+  }
+}
+
+class ScanExample extends db.Model {
+  static FIELDS = { n: S.int }
+}
+
+class ScanTest extends BaseTest {
+  async beforeAll () {
+    await super.beforeAll()
+    this.ids = new Set()
+    await db.Context.run(async tx => {
+      for (let i = 0; i < 7; i++) {
+        const id = uuidv4()
+        this.ids.add(id)
+        tx.create(ScanExample, { id, n: i })
+      }
+    })
+  }
+
+  testBadOptions () {
+    expect(() => ScanExample.scan({ partitions: 0 }))
+      .toThrow(db.InvalidOptionsError)
+    expect(() => ScanExample.scan({ pageSize: 1.5 }))
+      .toThrow(db.InvalidOptionsError)
+    expect(() => ScanExample.scan({ notAnOption: 1 }))
+      .toThrow(db.InvalidOptionsError)
+    expect(() => new db.Context().scan({})).toThrow(db.InvalidParameterError)
+  }
+
+  /**
+   * Checks that every doc created by this test was seen exactly once (the
+   * collection may have docs from previous runs too).
+   */
+  checkScanned (models) {
+    const seen = models.filter(m => this.ids.has(m.id))
+    expect(seen.length).toBe(this.ids.size)
+    expect(new Set(seen.map(m => m.id)).size).toBe(this.ids.size)
+    for (const model of seen) {
+      expect(model).toBeInstanceOf(ScanExample)
+      expect(model.isNew).toBe(false)
+      expect(model.getSnapshot()).toEqual({ id: model.id, n: model.n })
+    }
+  }
+
+  async testScan () {
+    const models = []
+    // a small page size makes sure we page through the results
+    for await (const model of ScanExample.scan({ pageSize: 2 })) {
+      models.push(model)
+    }
+    this.checkScanned(models)
+  }
+
+  async testScanFromContext () {
+    const models = []
+    await db.Context.run(async tx => {
+      for await (const model of tx.scan(ScanExample, { partitions: 3 })) {
+        models.push(model)
+      }
+      // scanned models are not tracked
+      expect(tx.__trackedModelsList.length).toBe(0)
+    })
+    this.checkScanned(models)
+  }
+
+  async testPartitions () {
+    const partitions = await ScanExample.scan({ partitions: 3, pageSize: 2 })
+      .getPartitions()
+    expect(partitions.length).toBeGreaterThanOrEqual(1)
+    expect(partitions.length).toBeLessThanOrEqual(3)
+    const results = await Promise.all(partitions.map(async partition => {
+      const models = []
+      for await (const model of partition) {
+        models.push(model)
+      }
+      return models
+    }))
+    this.checkScanned(results.flat())
+  }
+}
+
+runTests(QueryValidationTest, QueryTest, AggregationTest, ScanTest)
@@ -1,5 +1,6 @@
 const assert = require('assert')
 
+const { BulkWriter, WriteBatch } = require('@google-cloud/firestore')
 const S = require('@pocketgems/schema')
 const { BaseTest, runTests } = require('@pocketgems/unit-test')
 const uuidv4 = require('uuid').v4
@@ -56,6 +57,32 @@ class HookExample extends db.Model {
   }
 }
 
+class LifecycleHookExample extends db.Model {
+  static FIELDS = {
+    name: S.str,
+    slug: S.str.optional(),
+    numUpdates: S.int.default(0),
+    locked: S.bool.default(false)
+  }
+
+  async beforeCreate (ctx) {
+    this.slug = this.name.toLowerCase()
+  }
+
+  async beforeUpdate (ctx, changes) {
+    if (changes.name) {
+      this.slug = this.name.toLowerCase()
+    }
+    this.numUpdates += 1
+  }
+
+  async beforeDelete (ctx) {
+    if (this.locked) {
+      throw new Error('locked')
+    }
+  }
+}
+
 class TransactionExampleWithRequiredField extends TransactionExample {
   static FIELDS = { ...super.FIELDS, required: S.double }
 }
@@ -1210,6 +1237,183 @@ class ModelDiffsTest extends BaseTest {
   }
 }
 
+class PreconditionTest extends BaseTest {
+  async createDoc () {
+    const id = uuidv4()
+    await db.Context.run(async tx => {
+      tx.create(TransactionExample, { id, field1: 1 })
+    })
+    return id
+  }
+
+  async getUpdateTime (id) {
+    const doc = await TransactionExample.key({ id }).docRef.get()
+    return doc.updateTime
+  }
+
+  async testBadPreconditions () {
+    const id = await this.createDoc()
+    const when = await this.getUpdateTime(id)
+    await expect(db.Context.run(async tx => {
+      await tx.updateWithoutRead(TransactionExample, { id, field1: 2 },
+        { precondition: { lastUpdateTime: new Date() } })
+    })).rejects.toThrow('must be a Firestore Timestamp')
+    await expect(db.Context.run(async tx => {
+      await tx.updateWithoutRead(TransactionExample, { id, field1: 2 },
+        { precondition: { exists: true } })
+    })).rejects.toThrow(db.InvalidOptionsError)
+    await expect(db.Context.run(async tx => {
+      await tx.delete(TransactionExample.key({ id }), { lastUpdateTime: 1 })
+    })).rejects.toThrow('must be a Firestore Timestamp')
+    await expect(db.Context.run(async tx => {
+      await tx.delete(TransactionExample.key({ id }), { ifExists: 1 })
+    })).rejects.toThrow(db.InvalidOptionsError)
+    await expect(db.Context.run(async tx => {
+      tx.create(TransactionExample, { id: uuidv4() }).expectUnchangedSince(when)
+    })).rejects.toThrow('new models cannot have an update time')
+  }
+
+  async testUpdateWithPrecondition () {
+    const id = await this.createDoc()
+    const when = await this.getUpdateTime(id)
+    await db.Context.run(async tx => {
+      await tx.updateWithoutRead(TransactionExample, { id, field1: 2 },
+        { precondition: { lastUpdateTime: when } })
+    })
+    // the doc has changed since then
+    await expect(db.Context.run(async tx => {
+      await tx.updateWithoutRead(TransactionExample, { id, field1: 3 },
+        { precondition: { lastUpdateTime: when } })
+    })).rejects.toThrow(db.PreconditionFailedError)
+    expect((await txGet(id)).field1).toBe(2)
+  }
+
+  async testExpectUnchangedSince () {
+    const id = await this.createDoc()
+    const when = await this.getUpdateTime(id)
+    await db.Context.run(async tx => {
+      tx.createOrOverwrite(TransactionExample, { id, field1: 5 })
+    })
+    await expect(db.Context.run(async tx => {
+      const model = await tx.get(TransactionExample, id)
+      model.expectUnchangedSince(when)
+      model.field1 += 1
+    })).rejects.toThrow(db.PreconditionFailedError)
+    await expect(db.Context.run(async tx => {
+      const model = await tx.get(TransactionExample, id)
+      model.expectUnchangedSince(when)
+      await tx.delete(model)
+    })).rejects.toThrow(db.PreconditionFailedError)
+
+    const now = await this.getUpdateTime(id)
+    await db.Context.run(async tx => {
+      const model = await tx.get(TransactionExample, id)
+      model.expectUnchangedSince(now)
+      model.field1 += 1
+    })
+    expect((await txGet(id)).field1).toBe(6)
+  }
+
+  async testDeleteWithPreconditions () {
+    const missingKey = TransactionExample.key({ id: uuidv4() })
+    await expect(db.Context.run(async tx => {
+      await tx.delete(missingKey, { ifExists: true })
+    })).rejects.toThrow(db.PreconditionFailedError)
+    // without a precondition, deleting a missing doc is fine
+    await db.Context.run(async tx => {
+      await tx.delete(missingKey, {})
+    })
+
+    // updates of docs which were read cannot fail the same way, so the
+    // failure must be from the precondition
+    const id = await this.createDoc()
+    await expect(db.Context.run(async tx => {
+      const model = await tx.get(TransactionExample, id)
+      model.field1 += 1
+      await tx.delete(missingKey, { ifExists: true })
+    })).rejects.toThrow(db.PreconditionFailedError)
+    expect((await txGet(id)).field1).toBe(1)
+
+    const when = await this.getUpdateTime(id)
+    await db.Context.run(async tx => {
+      tx.createOrOverwrite(TransactionExample, { id, field1: 2 })
+    })
+    const key = TransactionExample.key({ id })
+    await expect(db.Context.run(async tx => {
+      await tx.delete(key, { ifExists: true, lastUpdateTime: when })
+    })).rejects.toThrow(db.PreconditionFailedError)
+    const now = await this.getUpdateTime(id)
+    await db.Context.run(async tx => {
+      await tx.delete(key, { lastUpdateTime: now })
+    })
+    expect(await TransactionExample.key({ id }).docRef.get())
+      .toHaveProperty('exists', false)
+  }
+
+  async testParseFirestoreErrors () {
+    const err = new Error('fake')
+    err.details = 'fake firestore precondition error'
+    const key = TransactionExample.key({ id: uuidv4() })
+    const failWithPrecondition = async tx => {
+      await tx.delete(key, { ifExists: true })
+      throw err
+    }
+    err.code = 9
+    await expect(db.Context.run(failWithPrecondition))
+      .rejects.toThrow(db.PreconditionFailedError)
+    err.code = 5
+    await expect(db.Context.run(failWithPrecondition))
+      .rejects.toThrow(db.PreconditionFailedError)
+
+    // these errors are passed through as is if no write had a precondition
+    for (const code of [5, 9]) {
+      err.code = code
+      await expect(db.Context.run(async tx => {
+        await tx.delete(key)
+        throw err
+      })).rejects.toThrow(err)
+    }
+
+    // or if an update without a precondition could have failed the same way
+    // (Firestore does not say which write failed)
+    for (const code of [5, 9]) {
+      err.code = code
+      await expect(db.Context.run(async tx => {
+        await tx.delete(key, { ifExists: true })
+        await tx.updateWithoutRead(TransactionExample,
+          { id: uuidv4(), field1: 1 })
+        throw err
+      })).rejects.toThrow(err)
+    }
+
+    // a query which needs an index also fails with code 9
+    err.code = 9
+    err.details = 'The query requires an index'
+    await expect(db.Context.run(failWithPrecondition)).rejects.toThrow(err)
+  }
+
+  async testUpdateMissingDocWithoutPrecondition () {
+    // the update fails as it did before preconditions were supported
+    const err = await db.Context.run(async tx => {
+      await tx.updateWithoutRead(TransactionExample,
+        { id: uuidv4(), field1: 1 })
+    }).catch(e => e)
+    expect(err).not.toBeInstanceOf(db.PreconditionFailedError)
+    expect(err.code).toBe(5)
+
+    // even if another write in the transaction has a precondition
+    const id = await this.createDoc()
+    const when = await this.getUpdateTime(id)
+    const err2 = await db.Context.run(async tx => {
+      await tx.delete(TransactionExample.key({ id }), { lastUpdateTime: when })
+      await tx.updateWithoutRead(TransactionExample,
+        { id: uuidv4(), field1: 1 })
+    }).catch(e => e)
+    expect(err2).not.toBeInstanceOf(db.PreconditionFailedError)
+    expect(err2.code).toBe(5)
+  }
+}
+
 class WithoutTransactionTest extends BaseTest {
   async testMutateOutsideTx () {
     const id = uuidv4()
@@ -1276,8 +1480,971 @@ class LeftoverContextTest extends BaseTest {
   }
 }
 
+class LifecycleHookTest extends BaseTest {
+  async afterEach () {
+    jest.restoreAllMocks()
+  }
+
+  async create (data = {}) {
+    const id = uuidv4()
+    await db.Context.run(tx => tx.create(LifecycleHookExample, {
+      id, name: 'Ada', ...data
+    }))
+    return id
+  }
+
+  async get (id) {
+    return db.Context.run(tx => tx.get(LifecycleHookExample, id))
+  }
+
+  async testAfterLoad () {
+    const id = await this.create()
+    const afterLoad = jest.spyOn(LifecycleHookExample.prototype, 'afterLoad')
+    await db.Context.run(async tx => {
+      const model = await tx.get(LifecycleHookExample, id)
+      expect(afterLoad).toHaveBeenCalledTimes(1)
+      expect(afterLoad.mock.contexts[0]).toBe(model)
+      expect(afterLoad).toHaveBeenCalledWith(tx)
+
+      // not called for docs which don't exist
+      await tx.get(LifecycleHookExample, uuidv4())
+      await tx.get(LifecycleHookExample.data({ id: uuidv4(), name: 'x' }),
+        { createIfMissing: true })
+      expect(afterLoad).toHaveBeenCalledTimes(1)
+    })
+
+    // models read by queries are loaded too
+    await db.Context.run(async tx => {
+      await tx.query(LifecycleHookExample).where('name', '==', 'Ada')
+        .limit(1).fetch()
+    })
+    expect(afterLoad).toHaveBeenCalledTimes(2)
+  }
+
+  async testAfterLoadOnScan () {
+    const id = await this.create()
+    const afterLoad = jest.spyOn(LifecycleHookExample.prototype, 'afterLoad')
+    const ids = []
+    for await (const model of LifecycleHookExample.scan()) {
+      // each model is loaded before it is yielded
+      expect(afterLoad.mock.contexts.at(-1)).toBe(model)
+      ids.push(model.id)
+    }
+    expect(ids).toContain(id)
+    expect(afterLoad).toHaveBeenCalledTimes(ids.length)
+    // scanned models aren't read by a context
+    expect(afterLoad.mock.calls.every(args => args[0] === undefined))
+      .toBe(true)
+  }
+
+  async testBeforeCreate () {
+    const beforeCreate = jest.spyOn(
+      LifecycleHookExample.prototype, 'beforeCreate')
+    const id = await this.create({ name: 'Grace' })
+    expect(beforeCreate).toHaveBeenCalledTimes(1)
+    const model = await this.get(id)
+    expect(model.slug).toBe('grace')
+    expect(model.numUpdates).toBe(0)
+  }
+
+  async testBeforeUpdate () {
+    const id = await this.create()
+    const beforeUpdate = jest.spyOn(
+      LifecycleHookExample.prototype, 'beforeUpdate')
+
+    // not called if nothing changed
+    await this.get(id)
+    expect(beforeUpdate).not.toHaveBeenCalled()
+
+    await db.Context.run(async tx => {
+      const model = await tx.get(LifecycleHookExample, id)
+      model.name = 'Alan'
+    })
+    expect(beforeUpdate).toHaveBeenCalledTimes(1)
+    expect(beforeUpdate.mock.calls[0][1]).toEqual({
+      name: { before: 'Ada', after: 'Alan' }
+    })
+    const model = await this.get(id)
+    expect(model.slug).toBe('alan')
+    expect(model.numUpdates).toBe(1)
+  }
+
+  async testHookChangesOtherModel () {
+    const id1 = await this.create()
+    const id2 = await this.create()
+    const beforeUpdate = jest.spyOn(
+      LifecycleHookExample.prototype, 'beforeUpdate')
+    const id3 = uuidv4()
+    await db.Context.run(async tx => {
+      // read in the reverse order that the hooks cause changes
+      const [model2, model1] = await tx.get([
+        LifecycleHookExample.key(id2), LifecycleHookExample.key(id1)])
+      beforeUpdate.mockImplementationOnce(async ctx => {
+        model2.name = 'Bo'
+        ctx.create(LifecycleHookExample, { id: id3, name: 'Cy' })
+      })
+      model1.name = 'Al'
+    })
+    // hooks are called on models changed (or created) by other hooks
+    expect(beforeUpdate).toHaveBeenCalledTimes(2)
+    expect((await this.get(id2)).numUpdates).toBe(1)
+    expect((await this.get(id3)).slug).toBe('cy')
+  }
+
+  async testHookAbortsTransaction () {
+    const id = uuidv4()
+    jest.spyOn(LifecycleHookExample.prototype, 'beforeCreate')
+      .mockRejectedValue(new Error('invalid'))
+    await expect(db.Context.run({ retries: 0 }, tx => {
+      tx.create(LifecycleHookExample, { id, name: 'x' })
+    })).rejects.toThrow('invalid')
+    expect(await this.get(id)).toBeUndefined()
+  }
+
+  async testBeforeDelete () {
+    const beforeDelete = jest.spyOn(
+      LifecycleHookExample.prototype, 'beforeDelete')
+    const id1 = await this.create()
+    const id2 = await this.create()
+    await db.Context.run(async tx => {
+      const model = await tx.get(LifecycleHookExample, id1)
+      await tx.delete(model)
+      expect(beforeDelete).toHaveBeenCalledTimes(1)
+      expect(beforeDelete.mock.contexts[0]).toBe(model)
+
+      // a key's model is only known if it was read
+      await tx.delete(LifecycleHookExample.key(id2))
+      expect(beforeDelete).toHaveBeenCalledTimes(1)
+    })
+
+    const id3 = await this.create({ locked: true })
+    await expect(db.Context.run({ retries: 0 }, async tx => {
+      await tx.get(LifecycleHookExample, id3)
+      await tx.delete(LifecycleHookExample.key(id3))
+    })).rejects.toThrow('locked')
+    expect(beforeDelete).toHaveBeenCalledTimes(2)
+    expect(await this.get(id3)).toBeDefined()
+  }
+}
+
+class BatchTest extends BaseTest {
+  async afterEach () {
+    jest.restoreAllMocks()
+  }
+
+  async getAll (ids) {
+    return db.Context.run(tx => tx.get(
+      ids.map(id => TransactionExample.key(id))))
+  }
+
+  async testBadParams () {
+    await expect(db.Context.runBatch()).rejects.toThrow(
+      'should be ([options,] func)')
+    await expect(db.Context.runBatch({}, () => {}, 1)).rejects.toThrow(
+      'should be ([options,] func)')
+    await expect(db.Context.runBatch({})).rejects.toThrow(
+      'must be a function / closure')
+    for (const batchSize of [0, 501, 1.5]) {
+      await expect(db.Context.runBatch({ batchSize }, () => {}))
+        .rejects.toThrow('must be an integer between 1 and 500')
+    }
+  }
+
+  async testWrites () {
+    const [id1, id2, id3, id4] = [uuidv4(), uuidv4(), uuidv4(), uuidv4()]
+    await db.Context.run(tx => {
+      tx.create(TransactionExample, { id: id3, field1: 1 })
+      tx.create(TransactionExample, { id: id4 })
+    })
+    const postCommit = jest.fn()
+    const models = await db.Context.runBatch(async batch => {
+      batch.addEventHandler(db.Context.EVENTS.POST_COMMIT, postCommit)
+      await batch.updateWithoutRead(TransactionExample, { id: id3, field1: 3 })
+      await batch.delete(TransactionExample.key(id4))
+      return [
+        await batch.create(TransactionExample, { id: id1, field1: 1 }),
+        await batch.createOrOverwrite(TransactionExample, { id: id2, field1: 2 })
+      ]
+    })
+    expect(postCommit).toHaveBeenCalledTimes(1)
+    expect(models[0].createTime).toBeDefined()
+    expect(models[0].updateTime).toEqual(models[0].createTime)
+    expect(models[1].updateTime).toBeDefined()
+
+    const [m1, m2, m3, m4] = await this.getAll([id1, id2, id3, id4])
+    expect(m1.field1).toBe(1)
+    expect(m2.field1).toBe(2)
+    expect(m3.field1).toBe(3)
+    expect(m4).toBeUndefined()
+  }
+
+  async testChunks () {
+    const commit = jest.spyOn(WriteBatch.prototype, 'commit')
+    const ids = [...Array(5)].map(() => uuidv4())
+    await db.Context.runBatch({ batchSize: 2 }, batch => {
+      // the function need not wait for its writes
+      for (const id of ids) {
+        batch.create(TransactionExample, { id })
+      }
+    })
+    expect(commit).toHaveBeenCalledTimes(3)
+    const models = await this.getAll(ids)
+    expect(models.every(m => m)).toBe(true)
+  }
+
+  async testCommitsFullBatches () {
+    const ids = [uuidv4(), uuidv4(), uuidv4()]
+    await db.Context.run(tx => {
+      ids.forEach(id => tx.create(TransactionExample, { id }))
+    })
+    const commit = jest.spyOn(WriteBatch.prototype, 'commit')
+    const newIDs = [uuidv4(), uuidv4()]
+    await db.Context.runBatch({ batchSize: 2 }, async batch => {
+      await batch.updateWithoutRead(TransactionExample, { id: ids[0], field1: 1 })
+      expect(commit).not.toHaveBeenCalled()
+      // a full batch is committed right away
+      await batch.updateWithoutRead(TransactionExample, { id: ids[1], field1: 1 })
+      expect(commit).toHaveBeenCalledTimes(1)
+      await batch.delete(TransactionExample.key(ids[2]))
+      // created models are written right away too (and aren't kept)
+      const model = await batch.create(TransactionExample, {
+        id: newIDs[0], field1: 2
+      })
+      expect(commit).toHaveBeenCalledTimes(2)
+      expect(model.createTime).toBeDefined()
+      expect(batch.__trackedModelsList).toEqual([])
+      await batch.createOrOverwrite(TransactionExample, {
+        id: newIDs[1], field1: 2
+      })
+      expect(commit).toHaveBeenCalledTimes(2)
+    })
+    expect(commit).toHaveBeenCalledTimes(3)
+    const models = await this.getAll([...ids, ...newIDs])
+    expect(models.map(m => m?.field1)).toEqual([1, 1, undefined, 2, 2])
+  }
+
+  async testCannotRead () {
+    await db.Context.runBatch(async batch => {
+      await expect(batch.get(TransactionExample, uuidv4()))
+        .rejects.toThrow('cannot read docs without a transaction')
+      expect(() => batch.query(TransactionExample))
+        .toThrow('cannot query docs without a transaction')
+      expect(() => batch.queryGroup(TransactionExample))
+        .toThrow('cannot query docs without a transaction')
+      await expect(batch.count(TransactionExample))
+        .rejects.toThrow('cannot query docs without a transaction')
+    })
+  }
+
+  async testFailedBatch () {
+    const existingID = uuidv4()
+    await db.Context.run(tx => tx.create(TransactionExample, { id: existingID }))
+    const ids = [...Array(5)].map(() => uuidv4())
+    const txFailed = jest.fn()
+    const err = await db.Context.runBatch({ batchSize: 2 }, async batch => {
+      batch.addEventHandler(db.Context.EVENTS.TX_FAILED, txFailed)
+      await batch.create(TransactionExample, { id: ids[0] })
+      await batch.create(TransactionExample, { id: ids[1] })
+      // the second batch fails because this doc already exists
+      await batch.create(TransactionExample, { id: ids[2] })
+      await batch.create(TransactionExample, { id: existingID })
+      await batch.create(TransactionExample, { id: ids[4] })
+    }).catch(e => e)
+    expect(err).toBeInstanceOf(db.BatchWriteError)
+    expect(err.message).toContain('1 of 3 batches failed to commit')
+    expect(txFailed).toHaveBeenCalledWith(err)
+    expect(err.failures.length).toBe(1)
+    const { index, paths } = err.failures[0]
+    expect(index).toBe(1)
+    expect(paths).toEqual([ids[2], existingID].map(
+      id => TransactionExample.key(id).docRef.path))
+
+    // other batches were saved, but no part of the failed batch was
+    const models = await this.getAll(ids)
+    expect(models.map(m => !!m)).toEqual([true, true, false, false, true])
+  }
+
+  async testCommitError () {
+    jest.spyOn(WriteBatch.prototype, 'commit')
+      .mockRejectedValue(new Error('unavailable'))
+    const id = uuidv4()
+    const err = await db.Context.runBatch(batch => {
+      batch.create(TransactionExample, { id })
+    }).catch(e => e)
+    expect(err.failures[0].error.message).toBe('unavailable')
+    jest.restoreAllMocks()
+    expect(await this.getAll([id])).toEqual([undefined])
+  }
+
+  async testFuncError () {
+    const id = uuidv4()
+    await expect(db.Context.runBatch(batch => {
+      batch.create(TransactionExample, { id })
+      throw new Error('bad input')
+    })).rejects.toThrow('bad input')
+    // nothing is written
+    expect(await this.getAll([id])).toEqual([undefined])
+
+    // but batches which were already full were committed
+    const [id1, id2] = [uuidv4(), uuidv4()]
+    await db.Context.run(tx => {
+      tx.create(TransactionExample, { id: id1 })
+      tx.create(TransactionExample, { id: id2 })
+    })
+    await expect(db.Context.runBatch({ batchSize: 1 }, async batch => {
+      await batch.delete(TransactionExample.key(id1))
+      await batch.create(TransactionExample, { id })
+      throw new Error('bad input')
+    })).rejects.toThrow('bad input')
+    expect(await this.getAll([id1, id2, id])).toEqual(
+      [undefined, expect.anything(), expect.anything()])
+  }
+
+  async testCreateHookError () {
+    jest.spyOn(LifecycleHookExample.prototype, 'beforeCreate')
+      .mockRejectedValue(new Error('invalid'))
+    const id = uuidv4()
+    // the function need not wait for a write to find out that it failed
+    await expect(db.Context.runBatch(batch => {
+      batch.create(LifecycleHookExample, { id, name: 'x' })
+    })).rejects.toThrow('invalid')
+    jest.restoreAllMocks()
+    expect(await db.Context.run(tx => tx.get(LifecycleHookExample, id)))
+      .toBeUndefined()
+  }
+}
+
+class BulkTest extends BaseTest {
+  async afterEach () {
+    jest.restoreAllMocks()
+  }
+
+  async getAll (ids) {
+    return db.Context.run(tx => tx.get(
+      ids.map(id => TransactionExample.key(id))))
+  }
+
+  async testBadParams () {
+    await expect(db.Context.runBulk()).rejects.toThrow(
+      'should be ([options,] func)')
+    await expect(db.Context.runBulk({})).rejects.toThrow(
+      'must be a function / closure')
+    await expect(db.Context.runBulk({ onError: 1 }, () => {}))
+      .rejects.toThrow('must be a function')
+    for (const maxOpsPerSecond of [0, 1.5, '1']) {
+      await expect(db.Context.runBulk({ maxOpsPerSecond }, () => {}))
+        .rejects.toThrow('must be a positive integer')
+    }
+  }
+
+  async testWrites () {
+    const [id1, id2, id3, id4] = [uuidv4(), uuidv4(), uuidv4(), uuidv4()]
+    await db.Context.run(tx => {
+      tx.create(TransactionExample, { id: id3, field1: 1 })
+      tx.create(TransactionExample, { id: id4 })
+    })
+    let models
+    const summary = await db.Context.runBulk({ maxOpsPerSecond: 100 },
+      async bulk => {
+        await bulk.updateWithoutRead(TransactionExample, { id: id3, field1: 3 })
+        await bulk.delete(TransactionExample.key(id4))
+        models = [
+          await bulk.create(TransactionExample, { id: id1, field1: 1 }),
+          await bulk.createOrOverwrite(TransactionExample, {
+            id: id2, field1: 2
+          })
+        ]
+      })
+    expect(summary).toEqual({ numSucceeded: 4, failures: [] })
+    expect(models[0].createTime).toBeDefined()
+    expect(models[1].updateTime).toBeDefined()
+
+    const [m1, m2, m3, m4] = await this.getAll([id1, id2, id3, id4])
+    expect(m1.field1).toBe(1)
+    expect(m2.field1).toBe(2)
+    expect(m3.field1).toBe(3)
+    expect(m4).toBeUndefined()
+  }
+
+  async testFailures () {
+    const [existingID, updatedID] = [uuidv4(), uuidv4()]
+    const oldModel = await db.Context.run(tx => {
+      tx.create(TransactionExample, { id: existingID })
+      return tx.create(TransactionExample, { id: updatedID, field1: 1 })
+    })
+    await db.Context.run(async tx => {
+      const model = await tx.get(TransactionExample, updatedID)
+      model.field1 = 2
+    })
+
+    const newID = uuidv4()
+    const missingID = uuidv4()
+    const onError = jest.fn()
+    const summary = await db.Context.runBulk({ onError }, async bulk => {
+      bulk.create(TransactionExample, { id: existingID })
+      bulk.create(TransactionExample, { id: newID })
+      await bulk.updateWithoutRead(TransactionExample, {
+        id: missingID, field1: 1
+      })
+      await bulk.delete(TransactionExample.key(updatedID),
+        { lastUpdateTime: oldModel.updateTime })
+    })
+    expect(summary.numSucceeded).toBe(1)
+    const failures = {}
+    for (const { path, error } of summary.failures) {
+      failures[path.split('/')[1]] = error
+    }
+    expect(failures[existingID]).toBeInstanceOf(db.ModelAlreadyExistsError)
+    // only writes with a precondition fail with a PreconditionFailedError
+    expect(failures[missingID]).not.toBeInstanceOf(db.PreconditionFailedError)
+    expect(failures[missingID].code).toBe(5)
+    expect(failures[updatedID]).toBeInstanceOf(db.PreconditionFailedError)
+    expect(onError).toHaveBeenCalledTimes(3)
+    expect(onError).toHaveBeenCalledWith(failures[existingID],
+      TransactionExample.key(existingID).docRef.path)
+
+    // each write succeeds or fails on its own
+    const [existing, created, updated] = await this.getAll(
+      [existingID, newID, updatedID])
+    expect(existing).toBeDefined()
+    expect(created).toBeDefined()
+    expect(updated.field1).toBe(2)
+  }
+
+  async testOtherErrors () {
+    const err = new Error('unavailable')
+    jest.spyOn(BulkWriter.prototype, 'create').mockRejectedValue(err)
+    const summary = await db.Context.runBulk(bulk => {
+      bulk.create(TransactionExample, { id: uuidv4() })
+    })
+    expect(summary.failures[0].error).toBe(err)
+
+    // errors thrown by onError are re-thrown (after every write finishes)
+    let numCalls = 0
+    await expect(db.Context.runBulk({
+      onError: () => {
+        throw new Error(`onError failed ${++numCalls}`)
+      }
+    }, bulk => {
+      bulk.create(TransactionExample, { id: uuidv4() })
+      bulk.create(TransactionExample, { id: uuidv4() })
+    })).rejects.toThrow('onError failed 1')
+    expect(numCalls).toBe(2)
+  }
+
+  async testFuncError () {
+    const [id, deletedID] = [uuidv4(), uuidv4()]
+    await db.Context.run(tx => tx.create(TransactionExample, { id: deletedID }))
+    const txFailed = jest.fn()
+    await expect(db.Context.runBulk(async bulk => {
+      bulk.addEventHandler(db.Context.EVENTS.TX_FAILED, txFailed)
+      await bulk.delete(TransactionExample.key(deletedID))
+      bulk.create(TransactionExample, { id })
+      throw new Error('bad input')
+    })).rejects.toThrow('bad input')
+    expect(txFailed).toHaveBeenCalledTimes(1)
+    // writes are sent as they are made, so both were saved
+    expect(await this.getAll([id, deletedID])).toEqual(
+      [expect.anything(), undefined])
+  }
+
+  async testWritesAreSentAsTheyAreMade () {
+    const [id1, id2] = [uuidv4(), uuidv4()]
+    await db.Context.run(tx => tx.create(TransactionExample, { id: id1 }))
+    const update = jest.spyOn(BulkWriter.prototype, 'update')
+    const create = jest.spyOn(BulkWriter.prototype, 'create')
+    const summary = await db.Context.runBulk(async bulk => {
+      await bulk.updateWithoutRead(TransactionExample, { id: id1, field1: 1 })
+      expect(update).toHaveBeenCalledTimes(1)
+      await bulk.delete(TransactionExample.key(uuidv4()))
+      await bulk.create(TransactionExample, { id: id2 })
+      expect(create).toHaveBeenCalledTimes(1)
+      // neither deleted keys nor created models are kept
+      expect(bulk.__trackedModelsList).toEqual([])
+    })
+    expect(summary).toEqual({ numSucceeded: 3, failures: [] })
+    const [m1, m2] = await this.getAll([id1, id2])
+    expect(m1.field1).toBe(1)
+    expect(m2).toBeDefined()
+  }
+
+  async testCannotRead () {
+    await db.Context.runBulk(async bulk => {
+      await expect(bulk.get(TransactionExample, uuidv4()))
+        .rejects.toThrow('cannot read docs without a transaction')
+      expect(() => bulk.query(TransactionExample))
+        .toThrow('cannot query docs without a transaction')
+    })
+  }
+}
+
+class NestedTest extends BaseTest {
+  async createAll (...models) {
+    const ids = models.map(() => uuidv4())
+    await db.Context.run(tx => {
+      models.forEach((data, i) => {
+        tx.create(TransactionExample, { id: ids[i], ...data })
+      })
+    })
+    return ids
+  }
+
+  async getAll (ids) {
+    return db.Context.run(tx => tx.get(
+      ids.map(id => TransactionExample.key(id))))
+  }
+
+  async testBadParams () {
+    await db.Context.run(async tx => {
+      await expect(tx.nested()).rejects.toThrow('must be a function')
+    })
+    await db.Context.runBatch(async batch => {
+      await expect(batch.nested(() => {}))
+        .rejects.toThrow('nested() requires a transaction')
+    })
+  }
+
+  async testCommitsWithOuter () {
+    const [id] = await this.createAll({ field1: 1 })
+    const newID = uuidv4()
+    await db.Context.run(async tx => {
+      const model = await tx.get(TransactionExample, id)
+      const ret = await tx.nested(async inner => {
+        expect(inner).toBe(tx)
+        model.field1 = 2
+        inner.create(TransactionExample, { id: newID })
+        return 'done'
+      })
+      expect(ret).toBe('done')
+    })
+    const [model, created] = await this.getAll([id, newID])
+    expect(model.field1).toBe(2)
+    expect(created).toBeDefined()
+  }
+
+  async testRollback () {
+    const [changedID, deletedID, updatedID, readID] = await this.createAll(
+      { field1: 1, arrField: [] }, {}, { field1: 1 }, {})
+    const createdID = uuidv4()
+    await db.Context.run(async tx => {
+      const [model, deleted] = await tx.get([
+        TransactionExample.key(changedID), TransactionExample.key(deletedID)])
+      model.field2 = 1
+      await expect(tx.nested(async inner => {
+        model.field1 = 2
+        model.arrField.push({ a: 1 })
+        model.expectUnchangedSince(model.updateTime)
+        inner.create(TransactionExample, { id: createdID })
+        await inner.delete(deleted)
+        await inner.updateWithoutRead(TransactionExample, {
+          id: updatedID, field1: 2
+        })
+        throw new Error('rolled back')
+      })).rejects.toThrow('rolled back')
+      expect(model.field1).toBe(1)
+      expect(model.arrField).toEqual([])
+      expect(model.__precondition).toBeUndefined()
+      expect(model.field2).toBe(1)
+
+      // models read by the nested function are no longer tracked (and reads
+      // are allowed since its writes were undone)
+      await expect(tx.nested(async inner => {
+        await inner.get(TransactionExample, readID)
+        throw new Error('rolled back')
+      })).rejects.toThrow('rolled back')
+      expect(await tx.get(TransactionExample, readID)).toBeDefined()
+    })
+
+    const [changed, deleted, updated, created] = await this.getAll(
+      [changedID, deletedID, updatedID, createdID])
+    expect(changed.field1).toBe(1)
+    expect(changed.field2).toBe(1)
+    expect(changed.arrField).toEqual([])
+    expect(deleted).toBeDefined()
+    expect(updated.field1).toBe(1)
+    expect(created).toBeUndefined()
+  }
+
+  async testRollbackFieldFirstUsedInNested () {
+    const [id] = await this.createAll({ field1: 1, arrField: [{ a: 1 }] })
+    await db.Context.run(async tx => {
+      const model = await tx.get(TransactionExample, id)
+      await expect(tx.nested(async () => {
+        // these fields are first used here
+        model.field1 = 2
+        model.arrField[0].a = 2
+        model.arrField.push({ a: 3 })
+        throw new Error('rolled back')
+      })).rejects.toThrow('rolled back')
+      expect(model.field1).toBe(1)
+      expect(model.arrField).toEqual([{ a: 1 }])
+      expect(model.__isMutated()).toBe(false)
+    })
+  }
+
+  async testSavepointSkipsUnusedFields () {
+    const [id] = await this.createAll({ field1: 1 })
+    // an invalid value which is never used doesn't matter
+    await TransactionExample.key(id).docRef.update({ field2: 'invalid' })
+    await db.Context.run(async tx => {
+      const model = await tx.get(TransactionExample, id)
+      model.field1 = 2
+      await tx.nested(async () => {
+        model.field1 = 3
+      })
+      expect(Object.keys(model.__cached_attrs)).toEqual(['field1'])
+    })
+    const [model] = await this.getAll([id])
+    expect(model.field1).toBe(3)
+  }
+
+  async testNestedTwice () {
+    const [id] = await this.createAll({ field1: 1 })
+    await db.Context.run(async tx => {
+      const model = await tx.get(TransactionExample, id)
+      await tx.nested(async inner => {
+        model.field1 = 2
+        await expect(inner.nested(async () => {
+          model.field1 = 3
+          throw new Error('rolled back')
+        })).rejects.toThrow('rolled back')
+        // only the innermost changes were undone
+        expect(model.field1).toBe(2)
+      })
+    })
+    const [model] = await this.getAll([id])
+    expect(model.field1).toBe(2)
+  }
+
+  async testOuterError () {
+    const [id] = await this.createAll({ field1: 1 })
+    await expect(db.Context.run(async tx => {
+      const model = await tx.get(TransactionExample, id)
+      await tx.nested(async () => {
+        model.field1 = 2
+      })
+      throw new Error('outer failed')
+    })).rejects.toThrow('outer failed')
+    // nested changes never commit on their own
+    const [model] = await this.getAll([id])
+    expect(model.field1).toBe(1)
+  }
+}
+
+class CurrentContextTest extends BaseTest {
+  async testCurrent () {
+    expect(db.Context.current()).toBeUndefined()
+    const helper = async () => {
+      await new Promise(resolve => setImmediate(resolve))
+      return db.Context.current()
+    }
+    let leftover
+    const postCommit = jest.fn(() => db.Context.current())
+    await db.Context.run(async tx => {
+      tx.addEventHandler(db.Context.EVENTS.POST_COMMIT, postCommit)
+      expect(db.Context.current()).toBe(tx)
+      expect(await helper()).toBe(tx)
+      // async work which outlives the context
+      leftover = new Promise(resolve => setTimeout(resolve, 10)).then(
+        () => db.Context.current())
+    })
+    expect(db.Context.current()).toBeUndefined()
+    expect(postCommit).toHaveReturnedWith(undefined)
+    expect(await leftover).toBeUndefined()
+
+    await db.Context.runBatch(async batch => {
+      expect(await helper()).toBe(batch)
+    })
+  }
+
+  async testConcurrentContexts () {
+    const contexts = []
+    await Promise.all([1, 2].map(() => db.Context.run(async tx => {
+      await new Promise(resolve => setImmediate(resolve))
+      expect(db.Context.current()).toBe(tx)
+      contexts.push(tx)
+    })))
+    expect(contexts[0]).not.toBe(contexts[1])
+  }
+
+  async testCurrentInHook () {
+    const id = uuidv4()
+    let current
+    class CurrentContextHookExample extends db.Model {
+      async beforeCreate (ctx) {
+        current = db.Context.current()
+        expect(current).toBe(ctx)
+      }
+    }
+    await db.Context.run(tx => {
+      tx.create(CurrentContextHookExample, { id })
+    })
+    expect(current).toBeDefined()
+  }
+
+  async testBadWhenNested () {
+    await expect(db.Context.run({ whenNested: 'x' }, () => {}))
+      .rejects.toThrow(db.InvalidOptionsError)
+  }
+
+  async testNestedIndependent () {
+    const id = uuidv4()
+    await expect(db.Context.run(async tx => {
+      await db.Context.run(async inner => {
+        expect(inner).not.toBe(tx)
+        expect(db.Context.current()).toBe(inner)
+        inner.create(TransactionExample, { id })
+      })
+      expect(db.Context.current()).toBe(tx)
+      throw new Error('outer failed')
+    })).rejects.toThrow('outer failed')
+    // the inner context committed on its own
+    const model = await db.Context.run(tx => tx.get(TransactionExample, id))
+    expect(model).toBeDefined()
+  }
+
+  async testNestedThrow () {
+    const func = jest.fn()
+    await db.Context.run(async () => {
+      await expect(db.Context.run({ whenNested: 'throw' }, func))
+        .rejects.toThrow(db.NestedContextError)
+    })
+    expect(func).not.toHaveBeenCalled()
+    // only nested calls throw
+    await db.Context.run({ whenNested: 'throw' }, func)
+    expect(func).toHaveBeenCalledTimes(1)
+  }
+
+  async testNestedJoin () {
+    const [id, rolledBackID] = [uuidv4(), uuidv4()]
+    await expect(db.Context.run(async tx => {
+      const ret = await db.Context.run({ whenNested: 'join' }, async inner => {
+        expect(inner).toBe(tx)
+        inner.create(TransactionExample, { id })
+        return 'done'
+      })
+      expect(ret).toBe('done')
+      expect(tx.__trackedModelsList.length).toBe(1)
+      // a failed inner function is rolled back (like nested())
+      await expect(db.Context.run({ whenNested: 'join' }, inner => {
+        inner.create(TransactionExample, { id: rolledBackID })
+        throw new Error('inner failed')
+      })).rejects.toThrow('inner failed')
+      expect(tx.__trackedModelsList.length).toBe(1)
+      throw new Error('outer failed')
+    })).rejects.toThrow('outer failed')
+    // the joined function's writes are part of the outer transaction
+    const models = await db.Context.run(tx => tx.get([
+      TransactionExample.key(id), TransactionExample.key(rolledBackID)]))
+    expect(models).toEqual([undefined, undefined])
+  }
+}
+
+/**
+ * Returns a promise and a function which resolves it.
+ */
+function makeDeferred () {
+  const deferred = {}
+  deferred.promise = new Promise(resolve => { deferred.resolve = resolve })
+  return deferred
+}
+
+class DeadlineTest extends BaseTest {
+  // these contexts don't use the database, so time can be faked
+  static NO_DB_OPTIONS = { readOnly: true, consistentReads: false }
+
+  /**
+   * Runs func with fake timers, running them until func's promise settles.
+   */
+  async withFakeTimers (func) {
+    jest.useFakeTimers({ doNotFake: ['nextTick', 'queueMicrotask'] })
+    try {
+      const fut = func()
+      fut.catch(() => {}) // checked by the caller
+      await jest.runAllTimersAsync()
+      return fut
+    } finally {
+      jest.useRealTimers()
+    }
+  }
+
+  async testBadOptions () {
+    for (const opt of ['deadlineMs', 'attemptTimeoutMs']) {
+      for (const ms of [0, -1, 1.5]) {
+        await expect(db.Context.run({ [opt]: ms }, () => {}))
+          .rejects.toThrow(`${opt}. must be a positive integer`)
+      }
+      // setTimeout() can't wait this long
+      await expect(db.Context.run({ [opt]: 2 ** 31 }, () => {}))
+        .rejects.toThrow(`${opt}. must be at most 2147483647`)
+    }
+  }
+
+  async testDeadlineStopsRetries () {
+    let cnt = 0
+    const failed = jest.fn()
+    const fut = this.withFakeTimers(() => db.Context.run({
+      ...DeadlineTest.NO_DB_OPTIONS,
+      retries: 10,
+      initialBackoff: 100,
+      deadlineMs: 150
+    }, tx => {
+      tx.addEventHandler(db.Context.EVENTS.TX_FAILED, failed)
+      cnt++
+      const err = new Error('conflict')
+      err.retryable = true
+      throw err
+    }))
+    await expect(fut).rejects.toThrow(db.TransactionDeadlineExceededError)
+    await expect(fut).rejects.toThrow(
+      'Giving up after 2 attempts (retrying would exceed the 150ms deadline)')
+    // the second backoff (~200ms) would have passed the deadline
+    expect(cnt).toBe(2)
+    expect(failed).toHaveBeenCalledWith(expect.any(
+      db.TransactionDeadlineExceededError))
+  }
+
+  async testDeadlineAbortsAttempt () {
+    const fut = this.withFakeTimers(() => db.Context.run({
+      ...DeadlineTest.NO_DB_OPTIONS,
+      retries: 2,
+      deadlineMs: 100
+    }, () => new Promise(resolve => setTimeout(resolve, 300))))
+    await expect(fut).rejects.toThrow(db.TransactionDeadlineExceededError)
+    await expect(fut).rejects.toThrow('attempt timed out after 100ms')
+  }
+
+  async testAttemptTimeoutIsRetried () {
+    let cnt = 0
+    const fut = this.withFakeTimers(() => db.Context.run({
+      ...DeadlineTest.NO_DB_OPTIONS,
+      retries: 1,
+      attemptTimeoutMs: 100
+    }, async () => {
+      if (cnt++ === 0) {
+        await new Promise(resolve => setTimeout(resolve, 300))
+        return 'timed out'
+      }
+      return 'retried'
+    }))
+    expect(await fut).toBe('retried')
+    expect(cnt).toBe(2)
+  }
+
+  async testAbandonedAttempt () {
+    // the first attempt hangs until it is released
+    const hang = makeDeferred()
+    const stale = makeDeferred()
+    const [id, staleID] = [uuidv4(), uuidv4()]
+    const runTransaction = jest.spyOn(db.firestoreDB, 'runTransaction')
+    let cnt = 0
+    const ret = await db.Context.run({
+      retries: 1, attemptTimeoutMs: 1000
+    }, async tx => {
+      if (cnt++ === 0) {
+        tx.create(TransactionExample, { id: staleID })
+        await hang.promise
+        // the abandoned attempt cannot use the context (which ran the next
+        // attempt)
+        const errors = []
+        try {
+          tx.create(TransactionExample, { id: uuidv4() })
+        } catch (e) {
+          errors.push(e)
+        }
+        await tx.get(TransactionExample, id).catch(e => errors.push(e))
+        stale.resolve(errors)
+        return 'stale'
+      }
+      tx.create(TransactionExample, { id })
+      return 'retried'
+    })
+    expect(ret).toBe('retried')
+    expect(cnt).toBe(2)
+
+    hang.resolve()
+    expect((await stale.promise).map(e => e.message)).toEqual([
+      'this attempt timed out and was abandoned',
+      'this attempt timed out and was abandoned'
+    ])
+    // and it does not commit (even the model it created before timing out)
+    await expect(runTransaction.mock.results[0].value)
+      .rejects.toThrow('this attempt timed out and was abandoned')
+    runTransaction.mockRestore()
+    const models = await db.Context.run(tx => tx.get([
+      TransactionExample.key(id), TransactionExample.key(staleID)]))
+    expect(models[0]).toBeDefined()
+    expect(models[1]).toBeUndefined()
+  }
+
+  async testAbandonedAttemptCannotWrite () {
+    const id = uuidv4()
+    await db.Context.run(tx => tx.create(TransactionExample, {
+      id, field1: 1
+    }))
+    const hang = makeDeferred()
+    const stale = makeDeferred()
+    let cnt = 0
+    await db.Context.run({ retries: 1, attemptTimeoutMs: 1000 }, async tx => {
+      if (cnt++ === 0) {
+        await hang.promise
+        // writes made after the next attempt started must not change its
+        // state
+        const errors = []
+        await tx.delete(TransactionExample.key(id)).catch(e => errors.push(e))
+        await tx.updateWithoutRead(TransactionExample, { id, field1: 3 })
+          .catch(e => errors.push(e))
+        stale.resolve(errors)
+        return
+      }
+      const model = await tx.get(TransactionExample, id)
+      model.field1 = 2
+      hang.resolve()
+      expect((await stale.promise).map(e => e.message)).toEqual([
+        'this attempt timed out and was abandoned',
+        'this attempt timed out and was abandoned'
+      ])
+    })
+    expect(cnt).toBe(2)
+    const model = await db.Context.run(tx => tx.get(TransactionExample, id))
+    expect(model.field1).toBe(2)
+  }
+
+  async testTimeoutWhileCommitting () {
+    // the transaction finishes committing when it is released
+    const release = makeDeferred()
+    const runTransaction = db.firestoreDB.runTransaction.bind(db.firestoreDB)
+    const spy = jest.spyOn(db.firestoreDB, 'runTransaction')
+      .mockImplementationOnce(async (...args) => {
+        const ret = await runTransaction(...args)
+        await release.promise
+        return ret
+      })
+    let cnt = 0
+    const fut = db.Context.run({ retries: 2, attemptTimeoutMs: 1000 }, tx => {
+      cnt++
+      tx.create(TransactionExample, { id: uuidv4() })
+    })
+    await expect(fut).rejects.toThrow(db.TransactionDeadlineExceededError)
+    await expect(fut).rejects.toThrow(
+      'attempt timed out after 1000ms while committing')
+    // it may have committed, so it is not retried
+    expect(cnt).toBe(1)
+    release.resolve()
+    await spy.mock.results[0].value
+    spy.mockRestore()
+  }
+}
+
 runTests(
+  BatchTest,
+  BulkTest,
+  CurrentContextTest,
+  DeadlineTest,
+  LifecycleHookTest,
+  NestedTest,
   ParameterTest,
+  PreconditionTest,
   TransactionDeleteTest,
   TransactionEdgeCaseTest,
   TransactionGetTest,